@@ -0,0 +1,681 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const {
+  User,
+  Area,
+  Address,
+  Subscription,
+  Publication,
+  DeliveryPersonnel,
+  DeliveryRoute,
+  DeliverySchedule,
+  PermissionGrant,
+  ApiKey,
+  SystemLog
+} = require('../models');
+const tokenService = require('../services/token.service');
+const billingService = require('../services/billing.service');
+
+const ROLES = ['Manager', 'Deliverer', 'Customer', 'Staff', 'Admin'];
+
+// Area arrays that mirror User.areas for each role
+const ROLE_AREA_FIELD = {
+  Manager: 'managers',
+  Deliverer: 'deliverers',
+  Customer: 'customers'
+};
+
+// Match user input literally inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to handle errors
+const handleError = (res, error) => {
+  console.error('Error:', error);
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+const logAction = (req, actionType, actionDetails) => SystemLog.create({
+  userId: req.user.id,
+  actionType,
+  actionDetails,
+  ipAddress: req.ip
+});
+
+// Add or remove a user from the role-specific member list of the given areas
+const syncAreaMembership = async (user, areaIds, operation, session) => {
+  const field = ROLE_AREA_FIELD[user.role];
+  if (!field || areaIds.length === 0) return;
+
+  const update = operation === 'add'
+    ? { $addToSet: { [field]: user._id } }
+    : { $pull: { [field]: user._id } };
+  await Area.updateMany({ _id: { $in: areaIds } }, update, { session });
+};
+
+// Make sure a deliverer has an active DeliveryPersonnel record covering their areas
+const ensureDeliveryPersonnel = async (user, session) => {
+  const personnel = await DeliveryPersonnel.findOne({ userId: user._id }).session(session);
+  if (personnel) {
+    personnel.isActive = true;
+    personnel.areasAssigned = user.areas;
+    personnel.updatedAt = new Date();
+    await personnel.save({ session });
+    return personnel;
+  }
+
+  const [created] = await DeliveryPersonnel.create([{
+    userId: user._id,
+    joiningDate: new Date(),
+    areasAssigned: user.areas,
+    isActive: true
+  }], { session });
+  return created;
+};
+
+// List users with optional role, status, area and text filters
+exports.getUsers = async (req, res) => {
+  try {
+    const { role, isActive, areaId, q, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (areaId) query.areas = areaId;
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-password')
+        .populate('areas', 'name city state')
+        .sort({ dateCreated: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.getUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    const user = await User.findById(req.params.id)
+      .select('-password')
+      .populate('areas', 'name city state')
+      .populate('defaultAddress')
+      .lean();
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Create a user of any role, including Staff and Admin
+exports.createUser = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { username, password, email, firstName, lastName, role, phone, areaIds = [] } = req.body;
+
+    if (!username || !password || !email || !firstName || !lastName || !role) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Username, password, email, first name, last name and role are required' });
+    }
+    if (!ROLES.includes(role)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] }).session(session);
+    if (existingUser) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'User already exists with this email or username' });
+    }
+
+    const areas = await Area.find({ _id: { $in: areaIds }, isActive: true }).session(session);
+    if (areas.length !== areaIds.length) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'One or more areas are invalid or inactive' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const [user] = await User.create([{
+      username,
+      password: await bcrypt.hash(password, salt),
+      email,
+      firstName,
+      lastName,
+      role,
+      phone,
+      areas: areas.map(area => area._id)
+    }], { session });
+
+    await syncAreaMembership(user, user.areas, 'add', session);
+    if (role === 'Deliverer') {
+      await ensureDeliveryPersonnel(user, session);
+    }
+
+    await session.commitTransaction();
+    await logAction(req, 'ADMIN_USER_CREATED', `Created ${role} ${user._id}`);
+
+    const { password: _, ...userData } = user.toObject();
+    res.status(201).json({ message: 'User created successfully', user: userData });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+// Update profile fields; role, status and areas have dedicated endpoints
+exports.updateUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    const allowed = ['firstName', 'lastName', 'email', 'phone', 'notificationPreferences'];
+    const updates = {};
+    allowed.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.email) {
+      const taken = await User.findOne({ email: updates.email, _id: { $ne: req.params.id } });
+      if (taken) {
+        return res.status(400).json({ message: 'Email is already in use' });
+      }
+      updates.emailVerified = false;
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, updates, { new: true })
+      .select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await logAction(req, 'ADMIN_USER_UPDATED', `Updated ${Object.keys(updates).join(', ')} for user ${user._id}`);
+
+    res.json({ message: 'User updated successfully', user });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.changeUserRole = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { role } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    if (!ROLES.includes(role)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const user = await User.findById(req.params.id).session(session);
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user.id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: `User is already a ${role}` });
+    }
+
+    // Move the user between the role-specific area lists
+    await syncAreaMembership(user, user.areas, 'remove', session);
+    user.role = role;
+    await user.save({ session });
+    await syncAreaMembership(user, user.areas, 'add', session);
+
+    if (role === 'Deliverer') {
+      await ensureDeliveryPersonnel(user, session);
+    } else if (previousRole === 'Deliverer') {
+      await DeliveryPersonnel.updateOne(
+        { userId: user._id },
+        { isActive: false, updatedAt: new Date() },
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+    await logAction(req, 'ADMIN_ROLE_CHANGED', `Changed user ${user._id} from ${previousRole} to ${role}`);
+
+    res.json({ message: 'Role updated successfully', user: { id: user._id, role: user.role } });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+exports.deactivateUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    if (req.params.id === req.user.id.toString()) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Sign the user out everywhere straight away
+    const revokedSessions = await tokenService.revokeAllSessions(user._id, 'Account deactivated');
+
+    if (user.role === 'Deliverer') {
+      await DeliveryPersonnel.updateOne({ userId: user._id }, { isActive: false, updatedAt: new Date() });
+    }
+
+    await logAction(req, 'ADMIN_USER_DEACTIVATED', `Deactivated user ${user._id}, ${revokedSessions} session(s) revoked`);
+
+    res.json({ message: 'User deactivated successfully' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.activateUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { isActive: true }, { new: true });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'Deliverer') {
+      await DeliveryPersonnel.updateOne({ userId: user._id }, { isActive: true, updatedAt: new Date() });
+    }
+
+    await logAction(req, 'ADMIN_USER_ACTIVATED', `Reactivated user ${user._id}`);
+
+    res.json({ message: 'User activated successfully' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.getAreas = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const areas = await Area.find(query)
+      .populate('managers', 'firstName lastName email')
+      .populate('mergedInto', 'name city state')
+      .lean();
+
+    res.json({ areas });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.createArea = async (req, res) => {
+  try {
+    const { name, description, city, state, postalCodes = [], managerIds = [] } = req.body;
+
+    if (!name || !city || !state) {
+      return res.status(400).json({ message: 'Area name, city and state are required' });
+    }
+
+    const existingArea = await Area.findOne({
+      name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') },
+      city: { $regex: new RegExp(`^${escapeRegex(city)}$`, 'i') },
+      state: { $regex: new RegExp(`^${escapeRegex(state)}$`, 'i') }
+    });
+    if (existingArea) {
+      return res.status(400).json({ message: 'An area with this name already exists in this city' });
+    }
+
+    const managers = await User.find({ _id: { $in: managerIds }, role: 'Manager', isActive: true });
+    if (managers.length !== managerIds.length) {
+      return res.status(400).json({ message: 'One or more managers are invalid' });
+    }
+
+    const area = await Area.create({
+      name,
+      description,
+      city,
+      state,
+      postalCodes,
+      managers: managers.map(manager => manager._id),
+      isActive: true
+    });
+
+    await User.updateMany({ _id: { $in: area.managers } }, { $addToSet: { areas: area._id } });
+
+    await logAction(req, 'ADMIN_AREA_CREATED', `Created area ${area._id} (${name}, ${city})`);
+
+    res.status(201).json({ message: 'Area created successfully', area });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.updateArea = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid Area ID format' });
+    }
+
+    const allowed = ['name', 'description', 'city', 'state', 'postalCodes'];
+    const updates = {};
+    allowed.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const area = await Area.findByIdAndUpdate(req.params.id, updates, { new: true });
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    await logAction(req, 'ADMIN_AREA_UPDATED', `Updated ${Object.keys(updates).join(', ')} for area ${area._id}`);
+
+    res.json({ message: 'Area updated successfully', area });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.deactivateArea = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid Area ID format' });
+    }
+
+    const area = await Area.findById(req.params.id);
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    // Customers would silently stop receiving papers; move them first
+    const activeSubscriptions = await Subscription.countDocuments({
+      areaId: area._id,
+      status: { $in: ['Active', 'Paused'] }
+    });
+    if (activeSubscriptions > 0) {
+      return res.status(400).json({
+        message: `Area still has ${activeSubscriptions} active subscription(s); merge it into another area instead`
+      });
+    }
+
+    area.isActive = false;
+    await area.save();
+    await DeliveryRoute.updateMany({ areaId: area._id }, { isActive: false });
+
+    await logAction(req, 'ADMIN_AREA_DEACTIVATED', `Deactivated area ${area._id}`);
+
+    res.json({ message: 'Area deactivated successfully' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Fold one area into another: every record pointing at the source moves to the target
+exports.mergeArea = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { targetAreaId } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Invalid Area ID format' });
+    }
+
+    if (!targetAreaId || id === targetAreaId) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'A different target area ID is required' });
+    }
+
+    if (!mongoose.isValidObjectId(targetAreaId)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Invalid target Area ID format' });
+    }
+
+    const source = await Area.findById(id).session(session);
+    const target = await Area.findOne({ _id: targetAreaId, isActive: true }).session(session);
+    if (!source || !target) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Source or active target area not found' });
+    }
+
+    const sourceId = source._id;
+    const targetId = target._id;
+
+    // Records with a single area reference
+    for (const Model of [Address, Subscription, DeliveryRoute, DeliverySchedule, ApiKey]) {
+      await Model.updateMany({ areaId: sourceId }, { areaId: targetId }, { session });
+    }
+
+    // Bills are unique per customer, area and month, so clashes are resolved rather than moved
+    const bills = await billingService.moveBillsToArea(sourceId, targetId, session);
+
+    // Records with a list of areas: add the target, then drop the source
+    const arrayFields = [[User, 'areas'], [Publication, 'areas'], [DeliveryPersonnel, 'areasAssigned']];
+    for (const [Model, field] of arrayFields) {
+      await Model.updateMany({ [field]: sourceId }, { $addToSet: { [field]: targetId } }, { session });
+      await Model.updateMany({ [field]: sourceId }, { $pull: { [field]: sourceId } }, { session });
+    }
+
+    // Permission grants: combine with any grant the user already has in the target
+    const grants = await PermissionGrant.find({ areaId: sourceId }).session(session);
+    for (const grant of grants) {
+      await PermissionGrant.updateOne(
+        { userId: grant.userId, areaId: targetId },
+        {
+          $addToSet: { permissions: { $each: grant.permissions } },
+          $setOnInsert: { grantedBy: grant.grantedBy },
+          $set: { updatedAt: new Date() }
+        },
+        { upsert: true, session }
+      );
+    }
+    await PermissionGrant.deleteMany({ areaId: sourceId }, { session });
+
+    ['managers', 'deliverers', 'customers', 'publications', 'postalCodes'].forEach(field => {
+      target[field].addToSet(...source[field]);
+    });
+    await target.save({ session });
+
+    source.isActive = false;
+    source.mergedInto = targetId;
+    await source.save({ session });
+
+    await session.commitTransaction();
+    await logAction(req, 'ADMIN_AREA_MERGED', `Merged area ${sourceId} into ${targetId}` +
+      (bills.keptInSource.length > 0 ? `; ${bills.keptInSource.length} finalised bills left with the source area` : ''));
+
+    res.json({ message: 'Areas merged successfully', area: target, bills });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+exports.assignManager = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid Area ID format' });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    const manager = await User.findOne({ _id: userId, role: 'Manager', isActive: true });
+    if (!manager) {
+      return res.status(404).json({ message: 'Manager not found' });
+    }
+
+    const area = await Area.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $addToSet: { managers: manager._id } },
+      { new: true }
+    );
+    if (!area) {
+      return res.status(404).json({ message: 'Active area not found' });
+    }
+
+    await User.updateOne({ _id: manager._id }, { $addToSet: { areas: area._id } });
+
+    await logAction(req, 'ADMIN_MANAGER_ASSIGNED', `Assigned manager ${manager._id} to area ${area._id}`);
+
+    res.json({ message: 'Manager assigned successfully', area });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.removeManager = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid Area ID format' });
+    }
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    const area = await Area.findOneAndUpdate(
+      { _id: id, managers: userId },
+      { $pull: { managers: userId } },
+      { new: true }
+    );
+    if (!area) {
+      return res.status(404).json({ message: 'Manager is not assigned to this area' });
+    }
+
+    await User.updateOne({ _id: userId }, { $pull: { areas: area._id } });
+
+    await logAction(req, 'ADMIN_MANAGER_REMOVED', `Removed manager ${userId} from area ${area._id}`);
+
+    res.json({ message: 'Manager removed successfully', area });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Hand some or all of one manager's areas over to another manager
+exports.reassignManagerAreas = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { toManagerId, areaIds } = req.body;
+
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(toManagerId)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+    if (Array.isArray(areaIds) && !areaIds.every(areaId => mongoose.isValidObjectId(areaId))) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Invalid Area ID format' });
+    }
+
+    const [fromManager, toManager] = await Promise.all([
+      User.findOne({ _id: id, role: 'Manager' }).session(session),
+      User.findOne({ _id: toManagerId, role: 'Manager', isActive: true }).session(session)
+    ]);
+    if (!fromManager || !toManager) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Source or target manager not found' });
+    }
+
+    const query = { managers: fromManager._id };
+    if (Array.isArray(areaIds) && areaIds.length > 0) query._id = { $in: areaIds };
+
+    const movedAreaIds = await Area.find(query).session(session).distinct('_id');
+    if (movedAreaIds.length === 0) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'No matching areas to reassign' });
+    }
+
+    await Area.updateMany({ _id: { $in: movedAreaIds } }, { $addToSet: { managers: toManager._id } }, { session });
+    await Area.updateMany({ _id: { $in: movedAreaIds } }, { $pull: { managers: fromManager._id } }, { session });
+    await User.updateOne({ _id: toManager._id }, { $addToSet: { areas: { $each: movedAreaIds } } }, { session });
+    await User.updateOne({ _id: fromManager._id }, { $pull: { areas: { $in: movedAreaIds } } }, { session });
+
+    await session.commitTransaction();
+    await logAction(
+      req,
+      'ADMIN_AREAS_REASSIGNED',
+      `Moved ${movedAreaIds.length} area(s) from manager ${fromManager._id} to ${toManager._id}`
+    );
+
+    res.json({ message: 'Areas reassigned successfully', areaIds: movedAreaIds });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = exports;
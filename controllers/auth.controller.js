@@ -1,6 +1,152 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { User, SystemLog, Area,Address,DeliveryPersonnel } = require('../models');
+const { User, SystemLog, Area,Address,DeliveryPersonnel,AuthSession } = require('../models');
+const tokenService = require('../services/token.service');
+const authTokenService = require('../services/auth-token.service');
+const mailService = require('../services/mail.service');
+const totpService = require('../services/totp.service');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes, doubled on each repeated lockout
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+// Roles that must enrol in two-factor authentication before they can sign in
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Count a failed password or 2FA code, locking the account once the limit is reached.
+// The counter is incremented in the database so parallel attempts all count, and only
+// one of the attempts that reach the limit applies the lock.
+const recordFailedLogin = async (user, req) => {
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!counted || counted.failedLoginAttempts < MAX_FAILED_LOGINS) return;
+
+  // Each lockout since the last successful login lasts twice as long as the previous one
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** counted.lockCount, MAX_LOCK_MS);
+  const locked = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS }, lockCount: counted.lockCount },
+    {
+      failedLoginAttempts: 0,
+      lockUntil: new Date(Date.now() + lockMs),
+      $inc: { lockCount: 1 }
+    }
+  );
+
+  if (locked.modifiedCount === 1) {
+    await SystemLog.create({
+      userId: user._id,
+      actionType: 'ACCOUNT_LOCKED',
+      actionDetails: `Locked for ${Math.round(lockMs / 60000)} minutes after ${MAX_FAILED_LOGINS} failed logins`,
+      ipAddress: req.ip
+    });
+  }
+};
+
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } }
+    );
+    user.failedLoginAttempts = 0;
+    user.lockCount = 0;
+    user.lockUntil = undefined;
+  }
+};
+
+// Rough "Browser on OS" label from a User-Agent header, for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari'], ['curl/', 'curl'], ['PostmanRuntime', 'Postman']];
+  const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) return 'Unknown device';
+  return [browser && browser[1], system && `on ${system[1]}`].filter(Boolean).join(' ');
+};
+
+// Short-lived token proving the password step passed; it carries no session so
+// authenticateToken will not accept it as an access token
+const signChallengeToken = (user, purpose) => jwt.sign(
+  { id: user._id, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+// Open a session, log the login and send the standard login response
+const completeLogin = async (user, req, res, { message = 'Login successful', extra = {} } = {}) => {
+  await user.populate([
+    { path: 'areas', select: 'name city state' },
+    { path: 'defaultAddress', select: 'streetAddress city state postalCode areaId' }
+  ]);
+
+  // Open a session and issue access/refresh tokens
+  const { token, refreshToken, expiresIn, sessionId } = await tokenService.issueTokens(user, req);
+
+  // Log the login
+  await SystemLog.create({
+    userId: user._id,
+    sessionId,
+    actionType: 'LOGIN',
+    actionDetails: user.twoFactor && user.twoFactor.enabled ? 'User logged in with two-factor authentication' : 'User logged in',
+    ipAddress: req.ip
+  });
+
+  // Construct user response with defaultAddress
+  const userResponse = {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    areas: user.areas, // Existing populated areas
+    defaultAddress: user.defaultAddress
+      ? {
+          id: user.defaultAddress._id,
+          streetAddress: user.defaultAddress.streetAddress,
+          city: user.defaultAddress.city,
+          state: user.defaultAddress.state,
+          postalCode: user.defaultAddress.postalCode,
+          areaId: user.defaultAddress.areaId,
+        }
+      : undefined,
+  };
+
+  res.json({
+    message,
+    token,
+    refreshToken,
+    expiresIn,
+    user: userResponse,
+    ...extra,
+  });
+};
+
+// Email a fresh verification link to the user
+const sendVerificationEmail = async (user) => {
+  const token = await authTokenService.createToken(user._id, 'EmailVerification', EMAIL_VERIFICATION_TTL_MS);
+
+  await mailService.queueMail({
+    userId: user._id,
+    to: user.email,
+    subject: 'Verify your email address',
+    template: 'EmailVerification',
+    text: `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address using the link below. It is valid for 48 hours.\n\n` +
+      `${APP_URL}/verify-email?token=${token}\n`
+  });
+};
 
 exports.register = async (req, res) => {
   try {
@@ -45,6 +191,13 @@ exports.register = async (req, res) => {
       });
     }
 
+    // Staff and Admin accounts are only created by an administrator
+    if (!['Manager', 'Deliverer', 'Customer'].includes(role)) {
+      return res.status(400).json({
+        message: 'Invalid role for registration'
+      });
+    }
+
     // For Customer role, area and address details are required
     if (role === 'Customer') {
       if (!name || !city || !state) {
@@ -166,16 +319,10 @@ exports.register = async (req, res) => {
       await area.save();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: user._id,
-        role: user.role,
-        username: user.username
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Open a session and issue access/refresh tokens
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, req);
+
+    await sendVerificationEmail(user);
 
     // Log the registration
     await SystemLog.create({
@@ -188,6 +335,8 @@ exports.register = async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         username: user.username,
@@ -195,6 +344,7 @@ exports.register = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
+        emailVerified: user.emailVerified,
         area: area ? {
           id: area._id,
           name: area.name,
@@ -221,15 +371,18 @@ exports.login = async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    // Find user by username and populate areas
-    const user = await User.findOne({ username })
-      .populate('areas', 'name city state')
-      .populate('defaultAddress', 'streetAddress city state postalCode areaId');
+    const user = await User.findOne({ username });
 
     if (!user) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Refuse while the account is locked out, with the same answer as a wrong password
+    // so the response does not reveal that the account exists and is locked
+    if (user.lockUntil && user.lockUntil > new Date()) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
     // Check if user is active
     if (!user.isActive) {
       return res.status(403).json({ message: 'Account is deactivated' });
@@ -238,54 +391,30 @@ exports.login = async (req, res) => {
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordFailedLogin(user, req);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        role: user.role,
-        username: user.username 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Log the login
-    await SystemLog.create({
-      userId: user._id,
-      actionType: 'LOGIN',
-      actionDetails: 'User logged in',
-      ipAddress: req.ip
-    });
+    // Second step: a TOTP or backup code is needed before a session is opened
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-login')
+      });
+    }
 
-    // Construct user response with defaultAddress
-    const userResponse = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      role: user.role,
-      areas: user.areas, // Existing populated areas
-      defaultAddress: user.defaultAddress
-        ? {
-            id: user.defaultAddress._id,
-            streetAddress: user.defaultAddress.streetAddress,
-            city: user.defaultAddress.city,
-            state: user.defaultAddress.state,
-            postalCode: user.defaultAddress.postalCode,
-            areaId: user.defaultAddress.areaId,
-          }
-        : undefined,
-    };
+    // Role requires 2FA but the user has not enrolled yet: only allow enrolment
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(user.role)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up before signing in',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-setup')
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: userResponse,
-    });
+    await clearFailedLogins(user);
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ 
@@ -297,10 +426,20 @@ exports.login = async (req, res) => {
 
 exports.logout = async (req, res) => {
   try {
+    const authHeader = req.headers['authorization'];
+    const sessionId = await tokenService.getSessionIdFromTokens({
+      refreshToken: req.body.refreshToken,
+      accessToken: authHeader && authHeader.split(' ')[1]
+    });
+
+    // Revoke the session so its access and refresh tokens stop working
+    const session = sessionId ? await tokenService.revokeSession(sessionId, 'Logout') : null;
+
     // Log the logout
-    if (req.user) {
+    if (session) {
       await SystemLog.create({
-        userId: req.user.id,
+        userId: session.userId,
+        sessionId: session._id,
         actionType: 'LOGOUT',
         actionDetails: 'User logged out',
         ipAddress: req.ip
@@ -319,6 +458,34 @@ exports.logout = async (req, res) => {
   }
 };
 
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await tokenService.rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      message: 'Error refreshing token',
+      error: error.message 
+    });
+  }
+};
+
 exports.getCurrentUser = async (req, res) => {
   try {
     // Get user from database (excluding password)
@@ -343,6 +510,8 @@ exports.getCurrentUser = async (req, res) => {
         areas: user.areas,
         defaultAddress: user.defaultAddress,
         notificationPreferences: user.notificationPreferences,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
         isActive: user.isActive,
         dateCreated: user.dateCreated
       }
@@ -380,11 +549,16 @@ exports.changePassword = async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
+    // Sign out every other device still holding the old credentials
+    const revokedSessions = await tokenService.revokeAllSessions(user._id, 'Password changed', {
+      exceptSessionId: req.user.sessionId
+    });
+
     // Log the password change
     await SystemLog.create({
       userId: user._id,
       actionType: 'PASSWORD_CHANGE',
-      actionDetails: 'Password changed successfully',
+      actionDetails: `Password changed successfully, ${revokedSessions} other session(s) revoked`,
       ipAddress: req.ip
     });
 
@@ -401,5 +575,553 @@ exports.changePassword = async (req, res) => {
 };
 
 
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email, isActive: true });
+
+    // Only send if the account exists, but answer the same way regardless
+    if (user) {
+      const token = await authTokenService.createToken(user._id, 'PasswordReset', PASSWORD_RESET_TTL_MS);
+
+      await mailService.queueMail({
+        userId: user._id,
+        to: user.email,
+        subject: 'Reset your password',
+        template: 'PasswordReset',
+        text: `Hi ${user.firstName},\n\n` +
+          `We received a request to reset your password. Use the link below within 1 hour to choose a new one.\n\n` +
+          `${APP_URL}/reset-password?token=${token}\n\n` +
+          `If you did not ask for this, you can ignore this email.\n`
+      });
+
+      await SystemLog.create({
+        userId: user._id,
+        actionType: 'PASSWORD_RESET_REQUEST',
+        actionDetails: 'Password reset email sent',
+        ipAddress: req.ip
+      });
+    }
+
+    res.json({ 
+      message: 'If an account exists for this email, a password reset link has been sent' 
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      message: 'Error requesting password reset',
+      error: error.message 
+    });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    const resetToken = await authTokenService.consumeToken(token, 'PasswordReset');
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+
+    // Following the emailed link proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out everywhere, whoever knew the old password included
+    await tokenService.revokeAllSessions(user._id, 'Password reset');
+
+    await SystemLog.create({
+      userId: user._id,
+      actionType: 'PASSWORD_RESET',
+      actionDetails: 'Password reset via email link',
+      ipAddress: req.ip
+    });
+
+    res.json({ 
+      message: 'Password has been reset successfully' 
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      message: 'Error resetting password',
+      error: error.message 
+    });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const verificationToken = await authTokenService.consumeToken(token, 'EmailVerification');
+    if (!verificationToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await SystemLog.create({
+      userId: user._id,
+      actionType: 'EMAIL_VERIFIED',
+      actionDetails: `Email ${user.email} verified`,
+      ipAddress: req.ip
+    });
+
+    res.json({ 
+      message: 'Email verified successfully' 
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      message: 'Error verifying email',
+      error: error.message 
+    });
+  }
+};
+
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ 
+      message: 'Verification email sent' 
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      message: 'Error sending verification email',
+      error: error.message 
+    });
+  }
+};
+exports.acceptInvite = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    const inviteToken = await authTokenService.consumeToken(token, 'Invitation');
+    if (!inviteToken) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    const user = await User.findById(inviteToken.userId);
+    if (!user || !user.isActive || user.inviteStatus !== 'Pending') {
+      return res.status(400).json({ message: 'Invitation is no longer valid' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.inviteStatus = 'Accepted';
+    // The invitation was delivered to this address, so it is verified
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    const { token: accessToken, refreshToken, expiresIn } = await tokenService.issueTokens(user, req);
+
+    await SystemLog.create({
+      userId: user._id,
+      actionType: 'INVITATION_ACCEPTED',
+      actionDetails: `${user.role} accepted invitation and set a password`,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Invitation accepted successfully',
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ 
+      message: 'Error accepting invitation',
+      error: error.message 
+    });
+  }
+};
+
+// List the caller's active sessions, newest activity first
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({
+      userId: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+    // When and from where each session signed in, from the login audit trail
+    const logins = await SystemLog.find({
+      sessionId: { $in: sessions.map(session => session._id) },
+      actionType: 'LOGIN'
+    }).lean();
+
+    res.json({
+      sessions: sessions.map(session => {
+        const login = logins.find(log => log.sessionId.equals(session._id));
+        return {
+          id: session._id,
+          device: describeDevice(session.userAgent),
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          signedInAt: login ? login.timestamp : session.createdAt,
+          signedInFrom: login ? login.ipAddress : undefined,
+          lastSeenAt: session.lastSeenAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.user.sessionId)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching sessions',
+      error: error.message 
+    });
+  }
+};
+
+// Sign out one of the caller's sessions, e.g. a lost phone
+exports.revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await AuthSession.findOne({ _id: id, userId: req.user.id });
+    if (!session || session.revokedAt) {
+      return res.status(404).json({ message: 'Active session not found' });
+    }
+
+    await tokenService.revokeSession(session._id, 'Signed out remotely');
+
+    await SystemLog.create({
+      userId: req.user.id,
+      sessionId: session._id,
+      actionType: 'LOGOUT',
+      actionDetails: session._id.equals(req.user.sessionId) ? 'User logged out' : 'Session signed out remotely',
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      message: 'Error revoking session',
+      error: error.message 
+    });
+  }
+};
+
+// Sign out everywhere except the device making the request
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeAllSessions(req.user.id, 'Signed out remotely', {
+      exceptSessionId: req.user.sessionId
+    });
+
+    await SystemLog.create({
+      userId: req.user.id,
+      sessionId: req.user.sessionId,
+      actionType: 'LOGOUT_OTHER_SESSIONS',
+      actionDetails: `${revoked} other session(s) signed out`,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: `${revoked} other session(s) signed out`, revoked });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ 
+      message: 'Error revoking sessions',
+      error: error.message 
+    });
+  }
+};
+
+// Second login step: exchange the challenge token plus a TOTP or backup code for a session
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+    if (decoded.purpose !== '2fa-login') {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    if (user.lockUntil && user.lockUntil > new Date()) {
+      return res.status(423).json({
+        message: 'Account is temporarily locked due to repeated failed logins',
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    let verified = false;
+    if (code) {
+      verified = await totpService.consumeCode(user, code);
+    } else if (backupCode) {
+      const hash = totpService.hashBackupCode(backupCode);
+      // Backup codes are single use
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+      );
+      verified = result.modifiedCount === 1;
+      if (verified) {
+        user.twoFactor.backupCodes.pull(hash);
+        await SystemLog.create({
+          userId: user._id,
+          actionType: '2FA_BACKUP_CODE_USED',
+          actionDetails: `Backup code used, ${user.twoFactor.backupCodes.length} remaining`,
+          ipAddress: req.ip
+        });
+      }
+    }
+
+    if (!verified) {
+      await recordFailedLogin(user, req);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await clearFailedLogins(user);
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    res.status(500).json({ 
+      message: 'Error verifying two-factor code',
+      error: error.message 
+    });
+  }
+};
+
+// Start enrolment: create a secret the authenticator app will be loaded with
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the provisioning URI with an authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: totpService.buildOtpauthUri(secret, user.username)
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({ 
+      message: 'Error setting up two-factor authentication',
+      error: error.message 
+    });
+  }
+};
+
+// Finish enrolment with a code from the app; returns backup codes once.
+// When enrolling from a setup challenge at login, also signs the user in.
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = totpService.matchStep(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = totpService.generateBackupCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = backupCodes.map(totpService.hashBackupCode);
+    user.twoFactor.lastUsedStep = step; // The enrolment code cannot then be replayed to sign in
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await SystemLog.create({
+      userId: user._id,
+      actionType: '2FA_ENABLED',
+      actionDetails: 'Two-factor authentication enabled',
+      ipAddress: req.ip
+    });
+
+    if (req.user.twoFactorSetupChallenge) {
+      await clearFailedLogins(user);
+      return completeLogin(user, req, res, {
+        message: 'Two-factor authentication enabled, login successful',
+        extra: { backupCodes }
+      });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe.',
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ 
+      message: 'Error enabling two-factor authentication',
+      error: error.message 
+    });
+  }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(user.role)) {
+      return res.status(403).json({ message: `Two-factor authentication is mandatory for ${user.role} accounts` });
+    }
+
+    const isValidPassword = await bcrypt.compare(password || '', user.password);
+    if (!isValidPassword || !(await totpService.consumeCode(user, code))) {
+      return res.status(401).json({ message: 'Password or authentication code is incorrect' });
+    }
+
+    user.twoFactor = { enabled: false, backupCodes: [] };
+    await user.save();
+
+    await SystemLog.create({
+      userId: user._id,
+      actionType: '2FA_DISABLED',
+      actionDetails: 'Two-factor authentication disabled',
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ 
+      message: 'Error disabling two-factor authentication',
+      error: error.message 
+    });
+  }
+};
+
+// Replace all backup codes; the old ones stop working
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await totpService.consumeCode(user, code))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = totpService.generateBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map(totpService.hashBackupCode);
+    await user.save();
+
+    await SystemLog.create({
+      userId: user._id,
+      actionType: '2FA_BACKUP_CODES_REGENERATED',
+      actionDetails: 'Backup codes regenerated',
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Backup codes regenerated', backupCodes });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ 
+      message: 'Error regenerating backup codes',
+      error: error.message 
+    });
+  }
+};
 
 module.exports = exports;
\ No newline at end of file
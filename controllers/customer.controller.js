@@ -9,9 +9,25 @@ const {
   BillItem,
   Payment,
   DeliveryItem,
-  CustomerActivity
+  CustomerActivity,
+  Area,
+  SystemLog,
+  LedgerEntry,
+  MailOutbox
 } = require('../models');
 const {mongoose} = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const tokenService = require('../services/token.service');
+const zipService = require('../services/zip.service');
+const pauseService = require('../services/pause.service');
+const billingService = require('../services/billing.service');
+const ledgerService = require('../services/ledger.service');
+const paymentService = require('../services/payment.service');
+const sequenceService = require('../services/sequence.service');
+const walletService = require('../services/wallet.service');
+const geocodingService = require('../services/geocoding.service');
+const { parseDay } = require('../services/publication-calendar.service');
 
 // Get managers in customer's area
 exports.getManagers = async (req, res) => {
@@ -300,47 +316,79 @@ exports.cancelSubscription = async (req, res) => {
   }
 };
 
+// Check a pause date range from the request, returning [startDate, endDate] or an error message
+const parsePauseRange = (startValue, endValue) => {
+  const startDate = parseDay(startValue);
+  const endDate = parseDay(endValue);
+  const today = parseDay(new Date());
+
+  if (!startValue || !endValue || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: 'Valid start and end dates are required' };
+  }
+  if (startDate < today) {
+    return { error: 'Pause cannot start in the past' };
+  }
+  if (endDate < startDate) {
+    return { error: 'End date must be on or after the start date' };
+  }
+  return { startDate, endDate };
+};
+
 // Request pause in delivery
 exports.requestPause = async (req, res) => {
   try {
     const { subscriptionId, startDate, endDate, reason } = req.body;
 
+    const range = parsePauseRange(startDate, endDate);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
     const subscription = await Subscription.findOne({
       _id: subscriptionId,
       userId: req.user.id,
-      status: 'Active'
+      status: { $in: ['Active', 'Paused'] }
     });
 
     if (!subscription) {
       return res.status(404).json({ message: 'Active subscription not found' });
     }
 
+    const overlapping = await pauseService.findOverlappingPause(subscription._id, range.startDate, range.endDate);
+    if (overlapping) {
+      return res.status(409).json({
+        message: 'This pause overlaps an existing pause for the subscription',
+        overlappingPause: overlapping
+      });
+    }
+
     // Create pause request
     const pauseRequest = new SubscriptionPause({
       subscriptionId,
-      startDate: new Date(startDate),
-      endDate: new Date(endDate),
-      reason
+      userId: req.user.id,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      reason,
+      status: 'Scheduled'
     });
 
     await pauseRequest.save();
 
-    // Update subscription status
-    subscription.status = 'Paused';
-    await subscription.save();
+    // A pause starting today takes effect immediately; later ones start automatically
+    await pauseService.syncPauses();
 
     // Log customer activity
     const activity = new CustomerActivity({
       userId: req.user.id,
       activityType: 'Pause Request',
-      details: `Requested pause for subscription ${subscriptionId}`
+      details: `Requested pause for subscription ${subscriptionId} from ${range.startDate.toDateString()} to ${range.endDate.toDateString()}`
     });
 
     await activity.save();
 
     res.json({ 
       message: 'Pause request created successfully',
-      pauseRequest 
+      pauseRequest: await SubscriptionPause.findById(pauseRequest._id)
     });
   } catch (error) {
     console.error('Request pause error:', error);
@@ -351,11 +399,158 @@ exports.requestPause = async (req, res) => {
   }
 };
 
+// List the customer's pauses; ?upcoming=true limits to ones not yet finished
+exports.getPauses = async (req, res) => {
+  try {
+    const subscriptionIds = await Subscription.find({ userId: req.user.id }).distinct('_id');
+
+    const query = { subscriptionId: { $in: subscriptionIds } };
+    if (req.query.upcoming === 'true') {
+      query.status = { $in: ['Scheduled', 'Active'] };
+    }
+
+    const pauses = await SubscriptionPause.find(query)
+      .sort({ startDate: 1 })
+      .populate({
+        path: 'subscriptionId',
+        select: 'publicationId quantity status',
+        populate: { path: 'publicationId', select: 'name' }
+      });
+
+    res.json({ pauses });
+  } catch (error) {
+    console.error('Get pauses error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching pauses',
+      error: error.message 
+    });
+  }
+};
+
+// Change the dates of a pause. Once a pause has started only its end date can move.
+exports.updatePause = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate, reason } = req.body;
+
+    const pause = await SubscriptionPause.findById(id).populate('subscriptionId');
+    if (!pause || !pause.subscriptionId || !pause.subscriptionId.userId.equals(req.user.id)) {
+      return res.status(404).json({ message: 'Pause not found' });
+    }
+
+    if (!['Scheduled', 'Active'].includes(pause.status)) {
+      return res.status(400).json({ message: `A ${pause.status.toLowerCase()} pause cannot be changed` });
+    }
+
+    let range;
+    if (pause.status === 'Active') {
+      if (startDate && parseDay(startDate).getTime() !== parseDay(pause.startDate).getTime()) {
+        return res.status(400).json({ message: 'The start date of a pause in progress cannot be changed' });
+      }
+      const newEnd = parseDay(endDate || pause.endDate);
+      if (isNaN(newEnd.getTime()) || newEnd < parseDay(new Date())) {
+        return res.status(400).json({ message: 'End date cannot be in the past' });
+      }
+      range = { startDate: pause.startDate, endDate: newEnd };
+    } else {
+      range = parsePauseRange(startDate || pause.startDate, endDate || pause.endDate);
+      if (range.error) {
+        return res.status(400).json({ message: range.error });
+      }
+    }
+
+    const overlapping = await pauseService.findOverlappingPause(
+      pause.subscriptionId._id, range.startDate, range.endDate, pause._id
+    );
+    if (overlapping) {
+      return res.status(409).json({
+        message: 'This pause overlaps an existing pause for the subscription',
+        overlappingPause: overlapping
+      });
+    }
+
+    pause.startDate = range.startDate;
+    pause.endDate = range.endDate;
+    if (reason !== undefined) pause.reason = reason;
+    pause.updatedAt = new Date();
+    await pause.save();
+
+    await pauseService.syncPauses();
+
+    await CustomerActivity.create({
+      userId: req.user.id,
+      activityType: 'Pause Request',
+      details: `Changed pause ${id} to ${range.startDate.toDateString()} - ${new Date(range.endDate).toDateString()}`
+    });
+
+    res.json({ 
+      message: 'Pause updated successfully',
+      pause: await SubscriptionPause.findById(pause._id)
+    });
+  } catch (error) {
+    console.error('Update pause error:', error);
+    res.status(500).json({ 
+      message: 'Error updating pause',
+      error: error.message 
+    });
+  }
+};
+
+// Cancel an upcoming pause, or end one in progress so deliveries resume tomorrow
+exports.cancelPause = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pause = await SubscriptionPause.findById(id).populate('subscriptionId');
+    if (!pause || !pause.subscriptionId || !pause.subscriptionId.userId.equals(req.user.id)) {
+      return res.status(404).json({ message: 'Pause not found' });
+    }
+
+    if (pause.status === 'Scheduled') {
+      pause.status = 'Cancelled';
+    } else if (pause.status === 'Active') {
+      pause.endDate = parseDay(new Date());
+    } else {
+      return res.status(400).json({ message: `A ${pause.status.toLowerCase()} pause cannot be cancelled` });
+    }
+    pause.updatedAt = new Date();
+    await pause.save();
+
+    // Resume straight away rather than waiting for the end of today
+    if (pause.status === 'Active') {
+      pause.status = 'Completed';
+      await pause.save();
+      await Subscription.updateOne(
+        { _id: pause.subscriptionId._id, status: 'Paused' },
+        { status: 'Active', updatedAt: new Date() }
+      );
+    }
+
+    await CustomerActivity.create({
+      userId: req.user.id,
+      activityType: 'Pause Request',
+      details: `Cancelled pause ${id} for subscription ${pause.subscriptionId._id}`
+    });
+
+    res.json({ 
+      message: 'Pause cancelled successfully',
+      pause 
+    });
+  } catch (error) {
+    console.error('Cancel pause error:', error);
+    res.status(500).json({ 
+      message: 'Error cancelling pause',
+      error: error.message 
+    });
+  }
+};
+
 // Get customer's bills
 exports.getBills = async (req, res) => {
   try {
     const bills = await Bill.find({
-      userId: req.user.id
+      userId: req.user.id,
+      status: { $ne: 'Draft' }
     })
     .sort({ billDate: -1 })
     .populate('areaId');
@@ -379,7 +574,8 @@ exports.getBillDetails = async (req, res) => {
 
     const bill = await Bill.findOne({
       _id: id,
-      userId: req.user.id
+      userId: req.user.id,
+      status: { $ne: 'Draft' }
     }).populate('areaId');
 
     if (!bill) {
@@ -390,9 +586,18 @@ exports.getBillDetails = async (req, res) => {
       billId: id
     }).populate('publicationId');
 
+    // Earlier bills whose balance was brought into this one
+    const carriedFrom = await Bill.find({ carriedForwardTo: bill._id })
+      .select('billNumber billMonth billYear carriedForwardAmount')
+      .sort({ billYear: 1, billMonth: 1 })
+      .lean();
+
     res.json({ 
       bill,
-      items: billItems
+      items: billItems,
+      openingBalance: bill.openingBalance || 0,
+      carriedFrom,
+      amountDue: billingService.roundMoney(bill.totalAmount + (bill.openingBalance || 0))
     });
   } catch (error) {
     console.error('Get bill details error:', error);
@@ -403,53 +608,293 @@ exports.getBillDetails = async (req, res) => {
   }
 };
 
-// Make a payment
-exports.makePayment = async (req, res) => {
+// Account statement with a running balance. Defaults to the last 90 days.
+exports.getStatement = async (req, res) => {
   try {
-    const { billId, amount, paymentMethod, referenceNumber } = req.body;
+    const to = req.query.to ? parseDay(req.query.to) : parseDay(new Date());
+    const from = req.query.from ? parseDay(req.query.from) : new Date(to.getFullYear(), to.getMonth(), to.getDate() - 90);
 
-    const bill = await Bill.findOne({
-      _id: billId,
-      userId: req.user.id
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ message: 'Provide a valid date range (from on or before to)' });
+    }
+
+    // Include the whole of the last day
+    const endOfRange = new Date(to);
+    endOfRange.setHours(23, 59, 59, 999);
+
+    const statement = await ledgerService.getStatement(req.user.id, from, endOfRange);
+
+    res.json({
+      ...statement,
+      to,
+      accountCredit: await ledgerService.availableCredit(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching statement',
+      error: error.message 
     });
+  }
+};
 
-    if (!bill) {
-      return res.status(404).json({ message: 'Bill not found' });
+// Wallet balance, settings and recent movements
+exports.getWallet = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('wallet').lean();
+    const balance = await ledgerService.walletBalance(req.user.id);
+
+    const topUps = await Payment.find({ userId: req.user.id, purpose: 'Wallet Top-up' })
+      .sort({ paymentDate: -1 })
+      .limit(20)
+      .lean();
+
+    res.json({
+      balance,
+      autopay: Boolean(user.wallet && user.wallet.autopay),
+      lowBalanceThreshold: (user.wallet && user.wallet.lowBalanceThreshold) || 0,
+      topUps
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching wallet',
+      error: error.message 
+    });
+  }
+};
+
+// Start a wallet top-up; funds are added once the gateway confirms the payment
+exports.topUpWallet = async (req, res) => {
+  try {
+    const { amount, paymentMethod } = req.body;
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'Top-up amount must be greater than zero' });
+    }
+    if (!paymentService.usesGateway(paymentMethod)) {
+      return res.status(400).json({ message: 'Wallet top-ups must be paid Online, by UPI or by Card' });
+    }
+    if (!paymentService.isConfigured()) {
+      return res.status(503).json({ message: 'Online payments are not available' });
     }
 
-    // Create payment record
-    const payment = new Payment({
-      billId,
+    const payment = await Payment.create({
+      purpose: 'Wallet Top-up',
       userId: req.user.id,
       paymentDate: new Date(),
       amount,
       paymentMethod,
-      referenceNumber,
-      status: 'Completed',
-      receiptNumber: `RCP${Date.now()}`
+      status: 'Pending',
+      receiptNumber: await sequenceService.nextReceiptNumber()
     });
 
-    await payment.save();
+    const checkout = await paymentService.createIntent(payment, null);
+
+    res.status(202).json({
+      message: 'Complete the top-up at the checkout',
+      payment,
+      checkout
+    });
+  } catch (error) {
+    console.error('Wallet top-up error:', error);
+    res.status(500).json({ 
+      message: 'Error starting wallet top-up',
+      error: error.message 
+    });
+  }
+};
 
-    // Update bill status and outstanding amount
-    bill.outstandingAmount = Math.max(0, bill.outstandingAmount - amount);
-    bill.status = bill.outstandingAmount === 0 ? 'Paid' : 'Partially Paid';
-    await bill.save();
+// Turn autopay on or off and set the low-balance warning threshold
+exports.updateWalletSettings = async (req, res) => {
+  try {
+    const { autopay, lowBalanceThreshold } = req.body;
+    const updates = {};
 
-    // Log customer activity
-    const activity = new CustomerActivity({
+    if (autopay !== undefined) {
+      if (typeof autopay !== 'boolean') {
+        return res.status(400).json({ message: 'autopay must be true or false' });
+      }
+      updates['wallet.autopay'] = autopay;
+    }
+    if (lowBalanceThreshold !== undefined) {
+      if (typeof lowBalanceThreshold !== 'number' || lowBalanceThreshold < 0) {
+        return res.status(400).json({ message: 'lowBalanceThreshold must be zero or a positive number' });
+      }
+      updates['wallet.lowBalanceThreshold'] = lowBalanceThreshold;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true }).select('wallet');
+
+    res.json({ message: 'Wallet settings updated', wallet: user.wallet });
+  } catch (error) {
+    console.error('Update wallet settings error:', error);
+    res.status(500).json({ 
+      message: 'Error updating wallet settings',
+      error: error.message 
+    });
+  }
+};
+
+// Pay a bill from the wallet, in full or up to the given amount
+exports.payFromWallet = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { billId, amount } = req.body;
+
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Amount must be greater than zero' });
+    }
+
+    const bill = await Bill.findOne({
+      _id: billId,
+      userId: req.user.id,
+      status: { $nin: ['Draft', 'Carried Forward', 'Paid'] }
+    }).session(session);
+    if (!bill) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Unpaid bill not found' });
+    }
+
+    const paid = await ledgerService.payFromWallet(bill, amount === undefined ? undefined : Number(amount), session);
+    if (paid === 0) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Your wallet has no funds to pay this bill' });
+    }
+
+    const updatedBill = await billingService.recalculateBill(bill._id, session);
+
+    await CustomerActivity.create([{
       userId: req.user.id,
       activityType: 'Payment',
-      details: `Made payment of ${amount} for bill ${billId}`
+      details: `Paid ${paid} from wallet for bill ${billId}`
+    }], { session });
+
+    await session.commitTransaction();
+
+    await walletService.notifyLowBalances([req.user.id]);
+
+    res.json({
+      message: 'Bill paid from wallet',
+      paid,
+      bill: updatedBill,
+      walletBalance: await ledgerService.walletBalance(req.user.id)
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    if (ledgerService.isBalanceConflict(error)) {
+      return res.status(409).json({ message: 'Another payment from your wallet is in progress; try again' });
+    }
+    console.error('Pay from wallet error:', error);
+    res.status(500).json({ 
+      message: 'Error paying from wallet',
+      error: error.message 
     });
+  } finally {
+    session.endSession();
+  }
+};
 
-    await activity.save();
+// Make a payment
+exports.makePayment = async (req, res) => {
+  try {
+    const { billId, amount, paymentMethod, referenceNumber } = req.body;
 
-    res.status(201).json({ 
-      message: 'Payment processed successfully',
-      payment 
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'Payment amount must be greater than zero' });
+    }
+
+    const bill = await Bill.findOne({
+      _id: billId,
+      userId: req.user.id,
+      status: { $ne: 'Draft' }
     });
+
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+
+    if (bill.status === 'Carried Forward') {
+      const laterBill = await Bill.findById(bill.carriedForwardTo).select('billNumber');
+      return res.status(400).json({
+        message: `The balance of this bill has been carried forward to bill ${laterBill ? laterBill.billNumber : bill.carriedForwardTo}; please pay that bill instead`,
+        carriedForwardTo: bill.carriedForwardTo
+      });
+    }
+
+    // Card, UPI and online payments are only confirmed by the gateway's webhook
+    if (paymentService.usesGateway(paymentMethod)) {
+      if (!paymentService.isConfigured()) {
+        return res.status(503).json({ message: 'Online payments are not available' });
+      }
+
+      const pendingPayment = await Payment.create({
+        billId,
+        userId: req.user.id,
+        paymentDate: new Date(),
+        amount,
+        paymentMethod,
+        status: 'Pending',
+        receiptNumber: await sequenceService.nextReceiptNumber()
+      });
+
+      const checkout = await paymentService.createIntent(pendingPayment, bill);
+
+      return res.status(202).json({
+        message: 'Complete the payment at the checkout',
+        payment: pendingPayment,
+        checkout
+      });
+    }
+
+    // Numbered outside the transaction so payments do not all contend for the sequence
+    const receiptNumber = await sequenceService.nextReceiptNumber();
+
+    // Record the payment and settle the bill through the ledger in one transaction;
+    // anything paid over is held as account credit towards the next bill
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const [payment] = await Payment.create([{
+        billId,
+        userId: req.user.id,
+        paymentDate: new Date(),
+        amount,
+        paymentMethod,
+        referenceNumber,
+        status: 'Completed',
+        receiptNumber
+      }], { session });
+
+      await ledgerService.recordPayment(payment, bill, session);
+      await billingService.recalculateBill(bill._id, session);
+
+      await CustomerActivity.create([{
+        userId: req.user.id,
+        activityType: 'Payment',
+        details: `Made payment of ${amount} for bill ${billId}`
+      }], { session });
+
+      await session.commitTransaction();
+
+      res.status(201).json({ 
+        message: 'Payment processed successfully',
+        payment 
+      });
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
   } catch (error) {
+    if (ledgerService.isBalanceConflict(error)) {
+      return res.status(409).json({ message: 'Another payment for your account is in progress; try again' });
+    }
     console.error('Make payment error:', error);
     res.status(500).json({ 
       message: 'Error processing payment',
@@ -458,6 +903,28 @@ exports.makePayment = async (req, res) => {
   }
 };
 
+// Status of a single payment, e.g. while waiting for the gateway to confirm it
+exports.getPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }).populate('billId', 'billNumber outstandingAmount status');
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.json({ payment });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching payment',
+      error: error.message 
+    });
+  }
+};
+
 // View payment history
 exports.getPaymentHistory = async (req, res) => {
   try {
@@ -499,6 +966,13 @@ exports.addAddress = async (req, res) => {
       isDefault
     });
 
+    // Place the address and match it to the area that delivers to its postal code,
+    // staying in the customer's area when no area lists the postal code
+    const customer = await User.findById(req.user.id).select('areas').lean();
+    await geocodingService.resolveAddress(address, {
+      fallbackAreaId: customer && customer.areas && customer.areas[0]
+    });
+
     await address.save();
 
     // If this is set as default, update user's default address
@@ -559,6 +1033,12 @@ exports.updateAddress = async (req, res) => {
     address.postalCode = postalCode || address.postalCode;
     address.deliveryInstructions = deliveryInstructions || address.deliveryInstructions;
 
+    // A moved address needs geocoding and area matching again, replacing any manual fix
+    if (address.isModified('streetAddress') || address.isModified('city') || address.isModified('postalCode')) {
+      address.geocodeSource = undefined;
+      await geocodingService.resolveAddress(address);
+    }
+
     await address.save();
 
     // If this is set as default, update user's default address
@@ -619,4 +1099,247 @@ exports.getDeliveryStatus = async (req, res) => {
       error: error.message 
     });
   }
-};
\ No newline at end of file
+};
+
+// Download everything we hold about the customer as JSON or a ZIP of JSON files
+exports.exportData = async (req, res) => {
+  try {
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+    const userId = req.user.id;
+
+    const user = await User.findById(userId)
+      .select('-password -twoFactor -failedLoginAttempts -lockUntil -lockCount')
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const subscriptions = await Subscription.find({ userId }).lean();
+    const bills = await Bill.find({ userId, status: { $ne: 'Draft' } }).lean();
+
+    const data = {
+      user,
+      addresses: await Address.find({ userId }).lean(),
+      subscriptions,
+      subscriptionRequests: await SubscriptionChangeRequest.find({ userId }).lean(),
+      subscriptionPauses: await SubscriptionPause.find({
+        subscriptionId: { $in: subscriptions.map(sub => sub._id) }
+      }).lean(),
+      bills,
+      billItems: await BillItem.find({ billId: { $in: bills.map(bill => bill._id) } }).lean(),
+      payments: await Payment.find({ userId }).lean(),
+      wallet: {
+        ...(user.wallet || {}),
+        balance: await ledgerService.walletBalance(userId),
+        accountCredit: await ledgerService.availableCredit(userId)
+      },
+      ledgerEntries: await LedgerEntry.find({ userId }).sort({ date: 1, createdAt: 1 }).lean(),
+      activity: await CustomerActivity.find({ userId }).sort({ timestamp: 1 }).lean()
+    };
+
+    await CustomerActivity.create({
+      userId,
+      activityType: 'Data Export',
+      details: `Exported account data as ${format.toUpperCase()}`
+    });
+
+    const exportedAt = new Date();
+    const fileBase = `customer-data-${userId}-${exportedAt.toISOString().slice(0, 10)}`;
+
+    if (format === 'zip') {
+      const files = Object.entries(data).map(([name, records]) => ({
+        name: `${name}.json`,
+        content: JSON.stringify(records, null, 2)
+      }));
+      files.push({
+        name: 'README.txt',
+        content: `Data export for ${user.username}, generated ${exportedAt.toISOString()}.\n` +
+          'Each file holds one kind of record in JSON format.\n'
+      });
+
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileBase}.zip"`);
+      return res.send(zipService.createZip(files));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileBase}.json"`);
+    res.json({ exportedAt, ...data });
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({ 
+      message: 'Error exporting data',
+      error: error.message 
+    });
+  }
+};
+
+// Close the account: settle bills from the wallet and account credit, cancel
+// subscriptions, flag unpaid bills and anonymise personal data. Bills and payments are
+// kept (without personal details) for the accounts.
+exports.closeAccount = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { password, reason, forfeitBalance = false } = req.body;
+    const userId = req.user.id;
+
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password || '', user.password);
+    if (!isValidPassword) {
+      await session.abortTransaction();
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    // Settle what can be settled from the wallet and account credit first
+    const billsToSettle = await Bill.find({
+      userId,
+      status: { $nin: ['Draft', 'Carried Forward'] },
+      outstandingAmount: { $gt: 0 }
+    }).session(session);
+    for (const bill of billsToSettle) {
+      const fromCredit = await ledgerService.applyAccountCredit(bill, session);
+      const fromWallet = await ledgerService.payFromWallet(bill, undefined, session);
+      if (fromCredit > 0 || fromWallet > 0) {
+        await billingService.recalculateBill(bill._id, session);
+      }
+    }
+
+    // Money still held for the customer is not stranded silently: they either ask for a
+    // refund first or give it up explicitly
+    const walletBalance = await ledgerService.walletBalance(userId, session);
+    const accountCredit = await ledgerService.availableCredit(userId, session);
+    let forfeited = null;
+    if (walletBalance > 0 || accountCredit > 0) {
+      if (forfeitBalance !== true) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          message: 'Your account still holds money. Ask your agency to refund your wallet top-ups ' +
+            'or account credit before closing, or close with forfeitBalance set to give it up.',
+          walletBalance,
+          accountCredit
+        });
+      }
+      forfeited = await ledgerService.forfeitBalances(userId, session);
+    }
+
+    const now = new Date();
+
+    // Stop deliveries
+    const cancelled = await Subscription.updateMany(
+      { userId, status: { $ne: 'Cancelled' } },
+      { status: 'Cancelled', endDate: now, updatedAt: now },
+      { session }
+    );
+    await SubscriptionChangeRequest.updateMany(
+      { userId, status: 'Pending' },
+      { status: 'Rejected', comments: 'Account closed by customer', processedDate: now },
+      { session }
+    );
+
+    // Unpaid bills cannot be settled here; flag them so the manager can follow up
+    const unpaidBills = await Bill.find({
+      userId,
+      status: { $ne: 'Draft' },
+      outstandingAmount: { $gt: 0 }
+    }).session(session);
+    await Bill.updateMany(
+      { _id: { $in: unpaidBills.map(bill => bill._id) } },
+      { flaggedForCollection: true, flagReason: 'Account closed with outstanding balance', updatedAt: now },
+      { session }
+    );
+    const outstandingTotal = unpaidBills.reduce((sum, bill) => sum + bill.outstandingAmount, 0);
+
+    // Anonymise personal data
+    await Address.updateMany(
+      { userId },
+      {
+        streetAddress: 'Redacted',
+        postalCode: 'Redacted',
+        isActive: false,
+        $unset: { deliveryInstructions: 1, latitude: 1, longitude: 1 }
+      },
+      { session }
+    );
+    await Subscription.updateMany(
+      { userId },
+      { $unset: { 'deliveryPreferences.additionalInstructions': 1 } },
+      { session }
+    );
+
+    const anonymousId = `deleted-${user._id}`;
+
+    // Mail sent to the customer holds their address, name and links; keep only the record
+    // that it was sent, and never send what is still waiting
+    const mailQuery = { $or: [{ userId: user._id }, { to: user.email }] };
+    await MailOutbox.updateMany(
+      { ...mailQuery, status: 'Pending' },
+      { status: 'Failed', lastError: 'Account closed', updatedAt: now },
+      { session }
+    );
+    await MailOutbox.updateMany(
+      mailQuery,
+      { to: `${anonymousId}@anonymized.invalid`, text: '[Removed on account closure]', updatedAt: now },
+      { session }
+    );
+
+    user.username = anonymousId;
+    user.email = `${anonymousId}@anonymized.invalid`;
+    user.firstName = 'Deleted';
+    user.lastName = 'Customer';
+    user.phone = undefined;
+    user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    user.emailVerified = false;
+    user.notificationPreferences = { email: false, sms: false };
+    user.twoFactor = { enabled: false, backupCodes: [] };
+    user.isActive = false;
+    user.closedAt = now;
+    await user.save({ session });
+
+    await Area.updateMany({ customers: user._id }, { $pull: { customers: user._id } }, { session });
+
+    await CustomerActivity.create([{
+      userId,
+      activityType: 'Account Closure',
+      details: `Account closed${reason ? `: ${reason}` : ''}` +
+        (forfeited ? `; gave up wallet balance ${forfeited.wallet} and account credit ${forfeited.credit}` : '')
+    }], { session });
+
+    await session.commitTransaction();
+
+    await tokenService.revokeAllSessions(user._id, 'Account closed');
+    await SystemLog.create({
+      userId: user._id,
+      actionType: 'ACCOUNT_CLOSED',
+      actionDetails: `Customer closed account; ${cancelled.modifiedCount} subscription(s) cancelled, ` +
+        `${unpaidBills.length} bill(s) flagged with ${outstandingTotal} outstanding`,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Account closed successfully',
+      cancelledSubscriptions: cancelled.modifiedCount,
+      outstandingBills: unpaidBills.map(bill => ({
+        id: bill._id,
+        billNumber: bill.billNumber,
+        outstandingAmount: bill.outstandingAmount
+      })),
+      outstandingTotal,
+      forfeited
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    console.error('Close account error:', error);
+    res.status(500).json({ 
+      message: 'Error closing account',
+      error: error.message 
+    });
+  } finally {
+    session.endSession();
+  }
+};
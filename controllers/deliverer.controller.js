@@ -8,6 +8,7 @@ const {
   User,
   Subscription
 } = require('../models');
+const routeStopService = require('../services/route-stop.service');
 
 // Helper function to handle errors
 const handleError = (res, error) => {
@@ -98,14 +99,35 @@ exports.getDeliveryItems = async (req, res) => {
 
     const items = await DeliveryItem.find({ scheduleId: { $in: scheduleIds } })
       .populate('subscriptionId', 'userId quantity deliveryPreferences')
-      .populate('addressId', 'streetAddress city state postalCode deliveryInstructions')
+      .populate('addressId', 'streetAddress city state postalCode deliveryInstructions latitude longitude')
       .populate('publicationId', 'name language')
-      .sort({ 'addressId.postalCode': 1 })
       .lean();
 
-      console.log('Items:', items);
+    // Walk each schedule's route in order, with every publication for an address at one stop
+    const routes = await DeliveryRoute.find({ _id: { $in: schedules.map(schedule => schedule.routeId).filter(Boolean) } })
+      .select('routeName')
+      .lean();
+
+    const scheduleStops = await Promise.all(schedules.map(async (schedule) => {
+      const route = routes.find(r => schedule.routeId && r._id.toString() === schedule.routeId.toString());
+      const stops = await routeStopService.groupItemsByStop(
+        schedule.routeId,
+        items.filter(item => item.scheduleId.toString() === schedule._id.toString())
+      );
+      return {
+        scheduleId: schedule._id,
+        routeId: schedule.routeId,
+        routeName: route ? route.routeName : null,
+        // Addresses with deliveries today that the route does not visit
+        offRouteStops: stops.filter(stop => !stop.onRoute).length,
+        stops
+      };
+    }));
 
-    res.json({ items });
+    res.json({
+      schedules: scheduleStops,
+      items: scheduleStops.flatMap(schedule => schedule.stops.flatMap(stop => stop.items))
+    });
   } catch (error) {
     handleError(res, error);
   }
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const {
   Area,
   User,
@@ -15,8 +17,32 @@ const {
   DeliverySummaryReport,
   Subscription,
   RouteAddress,
-  DeliveryItem
+  DeliveryItem,
+  SystemLog,
+  AuthToken,
+  PermissionGrant,
+  ApiKey,
+  BillAdjustment,
+  Refund,
+  Address,
+  ScheduleRun
 } = require('../models');
+const { PERMISSIONS, USER_ONLY_PERMISSIONS, getPermittedAreaIds } = require('../middleware/permissions');
+const apiKeyService = require('../services/api-key.service');
+const publicationCalendar = require('../services/publication-calendar.service');
+const billingService = require('../services/billing.service');
+const billingPolicyService = require('../services/billing-policy.service');
+const ledgerService = require('../services/ledger.service');
+const walletService = require('../services/wallet.service');
+const routeOptimizer = require('../services/route-optimizer.service');
+const geocodingService = require('../services/geocoding.service');
+const routeStopService = require('../services/route-stop.service');
+const scheduleService = require('../services/schedule.service');
+const authTokenService = require('../services/auth-token.service');
+const mailService = require('../services/mail.service');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
 
 // Helper function to handle errors
 const handleError = (res, error) => {
@@ -27,14 +53,36 @@ const handleError = (res, error) => {
   });
 };
 
+// Restrict an Area query to the areas resolved by authorizePermission for this route
+const inPermittedAreas = (req, query) => ({
+  $and: [query, { _id: { $in: req.permittedAreaIds } }]
+});
+
+// Email a deliverer a link to set their password and activate the account
+const sendInvitation = async (user, area) => {
+  const token = await authTokenService.createToken(user._id, 'Invitation', INVITATION_TTL_MS);
+
+  await mailService.queueMail({
+    userId: user._id,
+    to: user.email,
+    subject: 'You have been invited to join as a deliverer',
+    template: 'Invitation',
+    text: `Hi ${user.firstName},\n\n` +
+      `You have been added as a deliverer for ${area.name}, ${area.city}. ` +
+      `Use the link below within 7 days to choose your password and sign in.\n\n` +
+      `${APP_URL}/accept-invite?token=${token}\n\n` +
+      `Your username is ${user.username}.\n`
+  });
+};
+
 // Get all areas under manager's control
 exports.getAreas = async (req, res) => {
   try {
     const areas = await Area.find({ 
-      managers: req.user.id,
+      _id: { $in: req.permittedAreaIds },
       isActive: true 
     })
-    .select('name description city state postalCodes')
+    .select('name description city state postalCodes billing scheduling')
     .populate('managers', 'firstName lastName email phone')
     .populate('deliverers', 'firstName lastName email phone')
     .populate('publications', 'name language price publicationType')
@@ -47,11 +95,122 @@ exports.getAreas = async (req, res) => {
 };
 
 
+// Change how bills are worked out for an area and its late fee policy
+exports.updateAreaBilling = async (req, res) => {
+  try {
+    const { areaId } = req.params;
+    const { mode, lateFee } = req.body;
+    const updates = {};
+
+    if (mode !== undefined) {
+      if (!billingService.BILLING_MODES.includes(mode)) {
+        return res.status(400).json({
+          message: `Billing mode must be one of: ${billingService.BILLING_MODES.join(', ')}`
+        });
+      }
+      updates['billing.mode'] = mode;
+    }
+
+    if (lateFee !== undefined) {
+      const { type = 'None', amount = 0, graceDays = 0 } = lateFee;
+      if (!['None', 'Flat', 'Percent'].includes(type)) {
+        return res.status(400).json({ message: 'Late fee type must be one of: None, Flat, Percent' });
+      }
+      if (typeof amount !== 'number' || amount < 0 || (type === 'Percent' && amount > 100)) {
+        return res.status(400).json({ message: 'Late fee amount is invalid' });
+      }
+      if (!Number.isInteger(graceDays) || graceDays < 0) {
+        return res.status(400).json({ message: 'Grace days must be a whole number of days' });
+      }
+      updates['billing.lateFee'] = { type, amount, graceDays };
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const area = await Area.findOneAndUpdate(
+      inPermittedAreas(req, { _id: areaId }),
+      updates,
+      { new: true }
+    ).select('name billing');
+
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'AREA_BILLING_UPDATED',
+      actionDetails: `Billing settings for area ${area._id} updated: ${JSON.stringify(area.billing)}`,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Billing settings updated', area });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Set when an area's next-day schedules are generated automatically, and its holidays
+exports.updateAreaScheduling = async (req, res) => {
+  try {
+    const { areaId } = req.params;
+    const { autoGenerate, runAt, holidays } = req.body;
+    const updates = {};
+
+    if (autoGenerate !== undefined) {
+      if (typeof autoGenerate !== 'boolean') {
+        return res.status(400).json({ message: 'autoGenerate must be true or false' });
+      }
+      updates['scheduling.autoGenerate'] = autoGenerate;
+    }
+
+    if (runAt !== undefined) {
+      if (!scheduleService.RUN_AT_PATTERN.test(runAt)) {
+        return res.status(400).json({ message: 'runAt must be a time of day as HH:MM' });
+      }
+      updates['scheduling.runAt'] = runAt;
+    }
+
+    if (holidays !== undefined) {
+      if (!Array.isArray(holidays) || holidays.some(day => isNaN(publicationCalendar.parseDay(day)))) {
+        return res.status(400).json({ message: 'holidays must be a list of dates' });
+      }
+      updates['scheduling.holidays'] = holidays.map(day => publicationCalendar.parseDay(day));
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const area = await Area.findOneAndUpdate(
+      inPermittedAreas(req, { _id: areaId }),
+      updates,
+      { new: true }
+    ).select('name scheduling');
+
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'AREA_SCHEDULING_UPDATED',
+      actionDetails: `Scheduling settings for area ${area._id} updated: ${JSON.stringify(area.scheduling)}`,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Scheduling settings updated', area });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
 // Get all customers in manager's areas
 exports.getCustomers = async (req, res) => {
   try {
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
     console.log('getCustomers: Area IDs:', areaIds);
 
     const customers = await User.find({
@@ -86,21 +245,202 @@ exports.getCustomers = async (req, res) => {
   }
 };
 
+// Flagged addresses the caller may settle: those in their areas, and those with no area
+// yet in one of their areas' cities
+const reviewQueueFilter = async (req) => {
+  const areas = await Area.find({ _id: { $in: req.permittedAreaIds } }).select('city').lean();
+  const cities = [...new Set(areas.map(area => area.city.toLowerCase()))];
+
+  return {
+    needsReview: true,
+    isActive: true,
+    $or: [
+      { areaId: { $in: req.permittedAreaIds } },
+      {
+        areaId: null,
+        city: { $in: cities.map(city => new RegExp('^' + city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$', 'i')) }
+      }
+    ]
+  };
+};
+
+// Addresses the geocoder could not place or match to an area. Unmatched addresses
+// have no area yet, so they are shown to managers of areas in the same city.
+exports.getAddressesForReview = async (req, res) => {
+  try {
+    const addresses = await Address.find(await reviewQueueFilter(req))
+      .populate('userId', 'firstName lastName email phone')
+      .populate('areaId', 'name')
+      .sort({ _id: 1 })
+      .lean();
+
+    res.json({ addresses });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Settle a flagged address by hand. With addPostalCode the area also takes on the
+// address's postal code, and other flagged addresses with that code are assigned too.
+exports.assignAddressArea = async (req, res) => {
+  try {
+    const { areaId, latitude, longitude, addPostalCode = false } = req.body;
+
+    if (!areaId) {
+      return res.status(400).json({ message: 'areaId is required' });
+    }
+    if ((latitude !== undefined || longitude !== undefined) &&
+        !routeOptimizer.hasCoordinates({ latitude, longitude })) {
+      return res.status(400).json({ message: 'latitude and longitude must both be numbers' });
+    }
+
+    const area = await Area.findOne(inPermittedAreas(req, { _id: areaId, isActive: true }));
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    // Only flagged addresses from the caller's review queue can be moved
+    const reviewQueue = await reviewQueueFilter(req);
+    const address = await Address.findOne({ $and: [{ _id: req.params.id }, reviewQueue] });
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    address.areaId = area._id;
+    if (latitude !== undefined) {
+      address.latitude = latitude;
+      address.longitude = longitude;
+      address.geocodeSource = 'Manual';
+      address.geocodedAt = new Date();
+    }
+    address.needsReview = !routeOptimizer.hasCoordinates(address);
+    address.reviewReason = address.needsReview ? 'location not found for postal code' : undefined;
+    await address.save();
+
+    let alsoAssigned = 0;
+    if (addPostalCode) {
+      const postalCode = geocodingService.normalizePostalCode(address.postalCode);
+      const existing = await geocodingService.findAreaForPostalCode(postalCode);
+      if (existing && existing._id.toString() !== area._id.toString()) {
+        return res.status(409).json({
+          message: `Postal code ${postalCode} already belongs to area ${existing.name}`,
+          address
+        });
+      }
+      if (!existing) {
+        area.postalCodes.push(postalCode);
+        await area.save();
+      }
+
+      // Other addresses that were waiting on this postal code
+      const waiting = await Address.find({ $and: [{ _id: { $ne: address._id } }, reviewQueue] });
+      for (const other of waiting) {
+        if (geocodingService.normalizePostalCode(other.postalCode) !== postalCode) continue;
+        await geocodingService.resolveAddress(other);
+        await other.save();
+        alsoAssigned++;
+      }
+    }
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'ADDRESS_AREA_ASSIGNED',
+      actionDetails: `Assigned address ${address._id} to area ${area.name}` +
+        (addPostalCode ? ` and added postal code ${address.postalCode} (${alsoAssigned} more addresses assigned)` : ''),
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Address assigned', address, alsoAssigned });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
 // Get all deliverers in manager's areas
 exports.getDeliverers = async (req, res) => {
   try {
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     const deliverers = await DeliveryPersonnel.find({
       areasAssigned: { $in: areaIds },
       isActive: true
     })
-    .populate('userId', 'firstName lastName email phone')
+    .populate('userId', 'firstName lastName email phone inviteStatus invitedAt')
     .populate('areasAssigned', 'name city')
     .lean();
 
-    res.json({ deliverers });
+    // Report where each invited deliverer is in onboarding
+    const pendingUserIds = deliverers
+      .filter(d => d.userId && d.userId.inviteStatus === 'Pending')
+      .map(d => d.userId._id);
+    const inviteTokens = await AuthToken.find({
+      userId: { $in: pendingUserIds },
+      purpose: 'Invitation',
+      usedAt: { $exists: false }
+    }).lean();
+
+    const deliverersWithInvites = deliverers.map(deliverer => {
+      const user = deliverer.userId;
+      if (!user || !user.inviteStatus) {
+        return deliverer;
+      }
+
+      if (user.inviteStatus === 'Accepted') {
+        return { ...deliverer, invitation: { status: 'Accepted', invitedAt: user.invitedAt } };
+      }
+
+      const token = inviteTokens.find(t => t.userId.equals(user._id));
+      const expired = !token || token.expiresAt < new Date();
+      return {
+        ...deliverer,
+        invitation: {
+          status: expired ? 'Expired' : 'Pending',
+          invitedAt: user.invitedAt,
+          expiresAt: token ? token.expiresAt : undefined
+        }
+      };
+    });
+
+    res.json({ deliverers: deliverersWithInvites });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Unlock a user in one of the manager's areas after a login lockout
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    const areaIds = req.permittedAreaIds;
+
+    const user = await User.findOne({
+      _id: id,
+      areas: { $in: areaIds },
+      role: { $in: ['Customer', 'Deliverer'] }
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found in your areas' });
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lockCount = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'ACCOUNT_UNLOCKED',
+      actionDetails: `Unlocked user ${user._id}`,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'User unlocked successfully' });
   } catch (error) {
     handleError(res, error);
   }
@@ -118,23 +458,32 @@ exports.addDeliverer = async (req, res) => {
     }
 
     // Check area access
-    const area = await Area.findOne({ _id: areaId, managers: req.user.id });
+    const area = await Area.findOne(inPermittedAreas(req, { _id: areaId }));
     console.log('addDeliverer: Area found:', area);
     if (!area) {
       return res.status(403).json({ message: 'Invalid area assignment or unauthorized' });
     }
 
-    // Create user
+    const existingUser = await User.findOne({ $or: [{ email }, { username: email }] });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    // Create user with an unguessable password; the deliverer picks their own via the invitation
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
     const user = new User({
       username: email,
       email,
-      password: Math.random().toString(36).slice(-8),
+      password: placeholderPassword,
       role: 'Deliverer',
       firstName,
       lastName,
       phone,
       areas: [areaId],
-      isActive: true
+      isActive: true,
+      inviteStatus: 'Pending',
+      invitedBy: req.user.id,
+      invitedAt: new Date()
     });
     await user.save();
     console.log('addDeliverer: User created:', user._id);
@@ -152,11 +501,20 @@ exports.addDeliverer = async (req, res) => {
     console.log('addDeliverer: Deliverer created:', deliverer._id);
 
     // Update area
-    area.deliverers.push(deliverer._id);
+    area.deliverers.push(user._id);
     await area.save();
 
+    await sendInvitation(user, area);
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'DELIVERER_INVITED',
+      actionDetails: `Invited deliverer ${user._id} to area ${area._id}`,
+      ipAddress: req.ip
+    });
+
     res.status(201).json({
-      message: 'Deliverer created successfully',
+      message: 'Deliverer created and invitation sent',
       deliverer: {
         userId: user._id,
         firstName,
@@ -165,7 +523,8 @@ exports.addDeliverer = async (req, res) => {
         phone,
         areaId,
         commissionRate,
-        joiningDate: deliverer.joiningDate
+        joiningDate: deliverer.joiningDate,
+        inviteStatus: user.inviteStatus
       }
     });
   } catch (error) {
@@ -179,11 +538,45 @@ exports.addDeliverer = async (req, res) => {
     });
   }
 };
+
+// Send a new invitation to a deliverer who has not set a password yet
+exports.resendInvitation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid User ID format' });
+    }
+
+    const user = await User.findOne({ _id: userId, role: 'Deliverer' });
+    if (!user) {
+      return res.status(404).json({ message: 'Deliverer not found' });
+    }
+
+    if (user.inviteStatus !== 'Pending') {
+      return res.status(400).json({ message: 'Deliverer has no pending invitation' });
+    }
+
+    const area = await Area.findOne(inPermittedAreas(req, { _id: { $in: user.areas } }));
+    if (!area) {
+      return res.status(403).json({ message: 'Not authorized to invite this deliverer' });
+    }
+
+    await sendInvitation(user, area);
+    user.invitedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Invitation resent successfully' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
 // Get all publications in manager's areas
 exports.getPublications = async (req, res) => {
   try {
     const publications = await Publication.find({
-      managerId: req.user.id,
+      areas: { $in: req.permittedAreaIds },
       isActive: true
     })
     .populate('areas', 'name city')
@@ -210,9 +603,17 @@ exports.addPublication = async (req, res) => {
       price,
       publicationType,
       publicationDays,
+      issueDayOfMonth,
+      issueMonths,
+      issueDates,
       areaId
     } = req.body;
 
+    const scheduleErrors = publicationCalendar.validateSchedule(req.body);
+    if (scheduleErrors.length > 0) {
+      return res.status(400).json({ message: scheduleErrors.join('; ') });
+    }
+
     if (!req.user || !req.user.id) {
       console.log('Invalid req.user:', req.user);
       throw new Error('Authentication required: No user ID found');
@@ -221,10 +622,7 @@ exports.addPublication = async (req, res) => {
     console.log('addPublication input:', { userId: req.user.id, areaId });
 
     // Verify area belongs to manager
-    const area = await Area.findOne({ 
-      _id: areaId,
-      managers: req.user.id // Use req.user.id
-    });
+    const area = await Area.findOne(inPermittedAreas(req, { _id: areaId }));
 
     if (!area) {
       console.log('Area not found for:', { areaId, managerId: req.user.id });
@@ -238,6 +636,9 @@ exports.addPublication = async (req, res) => {
       price,
       publicationType,
       publicationDays,
+      issueDayOfMonth,
+      issueMonths,
+      issueDates,
       managerId: req.user.id, // Use req.user.id
       areas: [areaId]
     });
@@ -264,7 +665,7 @@ exports.updatePublication = async (req, res) => {
 
     const publication = await Publication.findOne({
       _id: id,
-      managerId: req.user.id
+      areas: { $in: req.permittedAreaIds }
     });
 
     if (!publication) {
@@ -273,16 +674,26 @@ exports.updatePublication = async (req, res) => {
 
     // Verify areas if being updated
     if (updateData.areas) {
-      const managerAreas = await Area.find({ 
-        _id: { $in: updateData.areas },
-        managers: req.user.id
-      });
+      const managerAreas = await Area.find(inPermittedAreas(req, { 
+        _id: { $in: updateData.areas }
+      }));
 
       if (managerAreas.length !== updateData.areas.length) {
         throw new Error('Invalid area assignment');
       }
     }
 
+    const scheduleErrors = publicationCalendar.validateSchedule({
+      publicationType: updateData.publicationType || publication.publicationType,
+      publicationDays: updateData.publicationDays || publication.publicationDays,
+      issueDates: updateData.issueDates || publication.issueDates,
+      issueDayOfMonth: updateData.issueDayOfMonth,
+      issueMonths: updateData.issueMonths
+    });
+    if (scheduleErrors.length > 0) {
+      return res.status(400).json({ message: scheduleErrors.join('; ') });
+    }
+
     Object.assign(publication, updateData);
     publication.updatedAt = new Date();
     await publication.save();
@@ -296,11 +707,46 @@ exports.updatePublication = async (req, res) => {
   }
 };
 
+// Upcoming issue dates of a publication, 31 days ahead by default
+exports.getPublicationIssues = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = req.query.from ? publicationCalendar.parseDay(req.query.from) : publicationCalendar.parseDay(new Date());
+    const to = req.query.to
+      ? publicationCalendar.parseDay(req.query.to)
+      : new Date(from.getFullYear(), from.getMonth(), from.getDate() + 31);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'Date range cannot exceed one year' });
+    }
+
+    const publication = await Publication.findOne({
+      _id: id,
+      areas: { $in: req.permittedAreaIds }
+    }).lean();
+
+    if (!publication) {
+      return res.status(404).json({ message: 'Publication not found' });
+    }
+
+    res.json({
+      publicationId: publication._id,
+      publicationType: publication.publicationType,
+      issueDates: publicationCalendar.listIssueDates(publication, from, to)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
 // Get subscription change requests
 exports.getSubscriptionRequests = async (req, res) => {
   try {
     // Find areas managed by the user
-    const areas = await Area.find({ managers: req.user.id });
+    const areas = await Area.find({ _id: { $in: req.permittedAreaIds } });
     console.log('getSubscriptionRequests: Areas:', areas);
     const areaIds = areas.map(area => area._id);
     const publicationIds = areas.flatMap(area => area.publications);
@@ -382,19 +828,17 @@ exports.handleSubscriptionRequest = async (req, res) => {
     // Verify the request is in manager's area
     let area;
     if (request.requestType === 'New') {
-      area = await Area.findOne({
+      area = await Area.findOne(inPermittedAreas(req, {
         $or: [
           { publications: request.publicationId._id },
           { _id: request.newAddressId?.areaId },
           { _id: request.subscriptionId?.areaId },
         ],
-        managers: req.user.id,
-      });
+      }));
     } else {
-      area = await Area.findOne({
+      area = await Area.findOne(inPermittedAreas(req, {
         _id: request.subscriptionId?.areaId,
-        managers: req.user.id,
-      });
+      }));
     }
 
     console.log('handleSubscriptionRequest: Area:', area);
@@ -411,6 +855,7 @@ exports.handleSubscriptionRequest = async (req, res) => {
     request.comments = comments;
     console.log('handleSubscriptionRequest: Updated request:', request);
 
+    let routePlacement = null;
     if (status === 'Approved') {
       switch (request.requestType) {
         case 'New': {
@@ -453,7 +898,7 @@ exports.handleSubscriptionRequest = async (req, res) => {
                 placement: 'Mailbox',
                 additionalInstructions: request.newAddressId?.deliveryInstructions,
               },
-              status: 'Pending',
+              status: 'Active',
             });
             await subscription.save({ session });
             request.subscriptionId = subscription._id;
@@ -462,6 +907,9 @@ exports.handleSubscriptionRequest = async (req, res) => {
           subscription.status = 'Active';
           subscription.startDate = request.effectiveDate;
           await subscription.save({ session });
+
+          // Add the address to the route in the area where it fits best
+          routePlacement = await routeStopService.placeAddress(subscription.areaId, subscription.addressId, session);
           break;
         }
 
@@ -472,6 +920,7 @@ exports.handleSubscriptionRequest = async (req, res) => {
             session.endSession();
             return res.status(404).json({ message: 'Subscription not found' });
           }
+          const previousAddressId = modifySubscription.addressId;
           if (request.newQuantity) modifySubscription.quantity = request.newQuantity;
           if (request.newAddressId) modifySubscription.addressId = request.newAddressId._id;
           if (request.deliveryPreferences) {
@@ -481,18 +930,29 @@ exports.handleSubscriptionRequest = async (req, res) => {
             };
           }
           await modifySubscription.save({ session });
+
+          // Follow an address change on the routes
+          if (request.newAddressId && previousAddressId.toString() !== request.newAddressId._id.toString()) {
+            routePlacement = await routeStopService.placeAddress(modifySubscription.areaId, request.newAddressId._id, session);
+            await routeStopService.releaseAddress(modifySubscription.areaId, previousAddressId, session);
+          }
           break;
         }
 
         case 'Cancel': {
-          await Subscription.findByIdAndUpdate(
+          const cancelled = await Subscription.findByIdAndUpdate(
             request.subscriptionId,
             {
               status: 'Cancelled',
               endDate: request.effectiveDate,
             },
-            { session }
+            { new: true, session }
           );
+
+          // Take the address off its route unless another subscription still uses it
+          if (cancelled) {
+            await routeStopService.releaseAddress(cancelled.areaId, cancelled.addressId, session);
+          }
           break;
         }
       }
@@ -504,6 +964,11 @@ exports.handleSubscriptionRequest = async (req, res) => {
     res.json({
       message: 'Subscription request handled successfully',
       request,
+      routePlacement: routePlacement && {
+        routeId: routePlacement.route._id,
+        routeName: routePlacement.route.routeName,
+        sequenceNumber: routePlacement.stop.sequenceNumber
+      },
     });
   } catch (error) {
     await session.abortTransaction();
@@ -517,6 +982,46 @@ exports.handleSubscriptionRequest = async (req, res) => {
   }
 };
 
+// Re-sequence a route's stops with the optimiser and record the estimated distance
+const optimizeRouteStops = async (route, { returnToDepot = false } = {}) => {
+  const stops = await RouteAddress.find({ routeId: route._id })
+    .sort({ sequenceNumber: 1 })
+    .populate('addressId', 'streetAddress latitude longitude');
+
+  const result = routeOptimizer.optimize(
+    route.depot,
+    stops.map(stop => ({
+      id: stop._id,
+      stop,
+      latitude: stop.addressId && stop.addressId.latitude,
+      longitude: stop.addressId && stop.addressId.longitude
+    })),
+    { returnToDepot }
+  );
+
+  if (result.order.length > 0) {
+    await RouteAddress.bulkWrite(result.order.map((entry, index) => ({
+      updateOne: { filter: { _id: entry.id }, update: { sequenceNumber: index + 1 } }
+    })));
+  }
+
+  route.estimatedDistanceKm = result.totalDistanceKm;
+  route.optimizedAt = new Date();
+  await route.save();
+
+  return {
+    totalDistanceKm: result.totalDistanceKm,
+    stops: result.order.map((entry, index) => ({
+      routeAddressId: entry.id,
+      addressId: entry.stop.addressId && entry.stop.addressId._id,
+      streetAddress: entry.stop.addressId && entry.stop.addressId.streetAddress,
+      sequenceNumber: index + 1
+    })),
+    // Stops without coordinates are left at the end until their address is geocoded
+    unlocatedStops: result.unlocated.map(entry => entry.id)
+  };
+};
+
 exports.createRoute = async (req, res) => {
   try {
     const {
@@ -525,6 +1030,7 @@ exports.createRoute = async (req, res) => {
       routeDescription,
       areaId,
       optimizationCriteria = 'Distance',
+      depot, // Optional { latitude, longitude } the route starts from
       addressIds = [] // Optional array of address IDs with sequence numbers
     } = req.body;
 
@@ -536,10 +1042,7 @@ exports.createRoute = async (req, res) => {
     }
 
     // Verify area belongs to manager
-    const area = await Area.findOne({
-      _id: areaId,
-      managers: req.user.id
-    });
+    const area = await Area.findOne(inPermittedAreas(req, { _id: areaId }));
     if (!area) {
       return res.status(403).json({ message: 'Not authorized to create route for this area' });
     }
@@ -561,9 +1064,19 @@ exports.createRoute = async (req, res) => {
       routeDescription,
       areaId,
       optimizationCriteria,
+      depot,
       isActive: true
     });
 
+    // Addresses on the area's other active routes stay where they are
+    const otherRouteIds = await DeliveryRoute.find({
+      _id: { $ne: route._id },
+      areaId,
+      isActive: true
+    }).distinct('_id');
+    const routedAddressIds = (await RouteAddress.find({ routeId: { $in: otherRouteIds } }).distinct('addressId'))
+      .map(id => id.toString());
+
     // If addressIds are provided, create RouteAddress entries
     if (addressIds.length > 0) {
       // Validate provided addresses belong to active subscriptions in the area
@@ -576,7 +1089,8 @@ exports.createRoute = async (req, res) => {
 
       // Create RouteAddress entries for valid addresses
       const routeAddresses = addressIds
-        .filter(addr => validAddressIds.includes(addr.addressId))
+        .filter(addr => validAddressIds.includes(addr.addressId) && !routedAddressIds.includes(addr.addressId))
+        .filter((addr, index, list) => list.findIndex(other => other.addressId === addr.addressId) === index)
         .map((addr, index) => ({
           routeId: route._id,
           addressId: addr.addressId,
@@ -593,15 +1107,17 @@ exports.createRoute = async (req, res) => {
         console.warn('Some provided addresses were not linked to active subscriptions in the area');
       }
     } else {
-      // Automatically include all active subscription addresses in the area
-      const subscriptions = await Subscription.find({
+      // Automatically include every active subscription address in the area not yet on a route,
+      // once each even when several publications go to the same address
+      const addressIdsInArea = await Subscription.find({
         areaId,
         status: 'Active'
-      }).populate('addressId');
-      
-      const routeAddresses = subscriptions.map((sub, index) => ({
+      }).distinct('addressId');
+      const unrouted = addressIdsInArea.filter(id => !routedAddressIds.includes(id.toString()));
+
+      const routeAddresses = unrouted.map((addressId, index) => ({
         routeId: route._id,
-        addressId: sub.addressId._id,
+        addressId,
         sequenceNumber: index + 1,
         createdAt: new Date()
       }));
@@ -611,6 +1127,10 @@ exports.createRoute = async (req, res) => {
       }
     }
 
+    // Order the stops unless the manager chose the sequence themselves
+    const manualSequence = optimizationCriteria === 'Custom' || addressIds.some(addr => addr.sequenceNumber);
+    const optimization = manualSequence ? null : await optimizeRouteStops(route);
+
     // Populate the route with area details for response
     const populatedRoute = await DeliveryRoute.findById(route._id)
       .populate('areaId', 'name city state')
@@ -619,7 +1139,74 @@ exports.createRoute = async (req, res) => {
 
     res.status(201).json({
       message: 'Delivery route created successfully',
-      route: populatedRoute
+      route: populatedRoute,
+      optimization
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Log of schedule generation runs, newest delivery date first
+exports.getScheduleRuns = async (req, res) => {
+  try {
+    const { areaId, status, from, to } = req.query;
+    const query = { areaId: areaId || { $in: req.permittedAreaIds } };
+    if (status) query.status = status;
+    if (from || to) {
+      query.deliveryDate = {};
+      if (from) query.deliveryDate.$gte = publicationCalendar.parseDay(from);
+      if (to) query.deliveryDate.$lte = publicationCalendar.parseDay(to);
+    }
+
+    const runs = await ScheduleRun.find(query)
+      .populate('areaId', 'name')
+      .populate('routes.routeId', 'routeName')
+      .populate('triggeredBy', 'firstName lastName')
+      .sort({ deliveryDate: -1, startedAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({ runs, maxAttempts: scheduleService.MAX_ATTEMPTS });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Generate an area's schedules for a day (tomorrow by default) now, outside the
+// automatic timetable. Also used to retry a run that has used up its retries.
+exports.runScheduleGeneration = async (req, res) => {
+  try {
+    const { areaId, date } = req.body;
+
+    if (!areaId) {
+      return res.status(400).json({ message: 'areaId is required' });
+    }
+
+    const area = await Area.findOne(inPermittedAreas(req, { _id: areaId, isActive: true })).select('name scheduling');
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    let day;
+    if (date) {
+      day = publicationCalendar.parseDay(date);
+      if (isNaN(day)) {
+        return res.status(400).json({ message: 'Invalid date' });
+      }
+    } else {
+      day = publicationCalendar.parseDay(new Date());
+      day.setDate(day.getDate() + 1);
+    }
+
+    const run = await scheduleService.generateForArea(area, day, { trigger: 'Manual', userId: req.user.id });
+    if (!run) {
+      return res.status(409).json({ message: 'Schedules for this area and day are already being generated' });
+    }
+
+    res.status(run.status === 'Failed' ? 500 : 200).json({
+      message: run.status === 'Failed' ? 'Schedule generation failed' : `Schedule generation ${run.status.toLowerCase()}`,
+      run
     });
   } catch (error) {
     handleError(res, error);
@@ -633,8 +1220,7 @@ exports.getSchedules = async (req, res) => {
     const queryDate = date ? new Date(date) : new Date();
     queryDate.setHours(0, 0, 0, 0);
 
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     const schedules = await DeliverySchedule.find({
       areaId: { $in: areaIds },
@@ -670,10 +1256,7 @@ exports.createSchedule = async (req, res) => {
     }
 
     // Verify area belongs to manager
-    const area = await Area.findOne({
-      _id: areaId,
-      managers: req.user.id,
-    }).session(session);
+    const area = await Area.findOne(inPermittedAreas(req, { _id: areaId })).session(session);
 
     if (!area) {
       await session.abortTransaction();
@@ -722,32 +1305,21 @@ exports.createSchedule = async (req, res) => {
       { session }
     );
 
-    // Find active subscriptions in the area
-    const subscriptions = await Subscription.find({
-      areaId,
-      status: 'Active',
-    })
-      .populate('publicationId')
-      .populate('addressId')
-      .session(session);
+    // Only titles with an issue on the schedule date, and not paused that day, are delivered,
+    // and only once: subscriptions already on another schedule that day are left out
+    const day = publicationCalendar.parseDay(date);
+    const scheduled = await scheduleService.scheduledSubscriptionIds(areaId, day, session);
+    const dueSubscriptions = (await scheduleService.dueSubscriptions(areaId, day, session))
+      .filter(sub => !scheduled.has(sub._id.toString()));
 
     // Create DeliveryItem for each subscription
-    const deliveryItems = subscriptions.map((sub) => ({
-      scheduleId: schedule[0]._id,
-      subscriptionId: sub._id,
-      addressId: sub.addressId._id,
-      publicationId: sub.publicationId._id,
-      quantity: sub.quantity || 1, // Use subscription quantity
-      status: 'Pending',
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    }));
+    const deliveryItems = scheduleService.toDeliveryItems(schedule[0]._id, dueSubscriptions);
 
     if (deliveryItems.length > 0) {
       await DeliveryItem.create(deliveryItems, { session });
       console.log(`Created ${deliveryItems.length} DeliveryItem records for schedule ${schedule[0]._id}`);
     } else {
-      console.log('No active subscriptions found for area:', areaId);
+      console.log('No publications due for area on this date:', areaId);
     }
 
     await session.commitTransaction();
@@ -779,8 +1351,7 @@ exports.createSchedule = async (req, res) => {
 exports.getBills = async (req, res) => {
   try {
     const { month, year, status } = req.query;
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     const query = {
       areaId: { $in: areaIds }
@@ -815,104 +1386,412 @@ exports.getBills = async (req, res) => {
   }
 };
 
-// Generate bills
+// Summary of a generation run for the response
+const describeBillRun = (result) => ({
+  created: result.created.length,
+  updated: result.updated.length,
+  removed: result.removed.length,
+  skipped: result.skipped.length,
+  finalized: result.finalized.length
+});
+
+// Generate bills. Safe to repeat for the same month: bills are created as drafts, drafts
+// are rebuilt on each run and finalised bills are left alone. Pass dryRun to preview the
+// run without saving, or finalize to issue the bills straight away.
 exports.generateBills = async (req, res) => {
+  const month = parseInt(req.body.month);
+  const year = parseInt(req.body.year);
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  const finalize = req.body.finalize === true;
+
+  if (!month || month < 1 || month > 12 || !year) {
+    return res.status(400).json({ message: 'A valid month and year are required' });
+  }
+
+  const areaIds = req.body.areaId ? [req.body.areaId] : req.permittedAreaIds;
+
+  if (dryRun) {
+    try {
+      const result = await billingService.generateMonthlyBills({ areaIds, month, year, dryRun: true });
+      return res.json({
+        message: 'Bill generation preview',
+        dryRun: true,
+        summary: describeBillRun(result),
+        created: result.created,
+        updated: result.updated,
+        removed: result.removed,
+        skipped: result.skipped
+      });
+    } catch (error) {
+      return handleError(res, error);
+    }
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { month, year } = req.body;
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
-
-    // Get all active subscriptions in manager's areas
-    const subscriptions = await Subscription.find({
-      areaId: { $in: areaIds },
-      status: 'Active'
-    })
-    .populate('publicationId')
-    .populate('userId');
-
-    const billsToCreate = [];
-    const billItemsMap = new Map(); // To track bill items by bill
-
-    for (const subscription of subscriptions) {
-      // Find if there's already a bill for this user and area
-      const billKey = `${subscription.userId._id}-${subscription.areaId}`;
-      let existingBill = billItemsMap.get(billKey);
-
-      if (!existingBill) {
-        // Create a new bill
-        const newBill = {
-          userId: subscription.userId._id,
-          billDate: new Date(),
-          billMonth: month,
-          billYear: year,
-          totalAmount: 0,
-          dueDate: new Date(year, month, 15), // Due on 15th of billing month
-          status: 'Unpaid',
-          areaId: subscription.areaId,
-          billNumber: `BILL-${year}${month.toString().padStart(2, '0')}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
-          outstandingAmount: 0,
-          billItems: [] // Store bill items here temporarily
-        };
-        billsToCreate.push(newBill);
-        billItemsMap.set(billKey, newBill);
-        existingBill = newBill;
-      }
+    const result = await billingService.generateMonthlyBills({ areaIds, month, year, finalize, session });
 
-      // Calculate amount for this subscription
-      const amount = subscription.publicationId.price * subscription.quantity;
-      existingBill.totalAmount += amount;
-      existingBill.outstandingAmount += amount;
-
-      // Add bill item to the temporary collection
-      existingBill.billItems.push({
-        publicationId: subscription.publicationId._id,
-        quantity: subscription.quantity,
-        unitPrice: subscription.publicationId.price,
-        totalPrice: amount,
-        deliveryPeriod: {
-          from: new Date(year, month - 1, 1),
-          to: new Date(year, month, 0)
-        }
-      });
-    }
+    await session.commitTransaction();
 
-    if (billsToCreate.length === 0) {
-      return res.status(200).json({
-        message: 'No active subscriptions found for bill generation',
-        billIds: []
-      });
+    // Autopay may have drawn wallets down
+    if (result.finalized.length > 0) {
+      await walletService.notifyLowBalances(result.finalized.map(bill => bill.userId));
     }
 
-    // Create bills first
-    const createdBills = await Bill.create(billsToCreate.map(bill => {
-      // Remove billItems from the bill object before creating
-      const { billItems, ...billData } = bill;
-      return billData;
-    }), { session });
-
-    // Create bill items with correct billId references
-    const allBillItems = [];
-    createdBills.forEach((createdBill, index) => {
-      const originalBill = billsToCreate[index];
-      const billItems = originalBill.billItems.map(item => ({
-        ...item,
-        billId: createdBill._id
-      }));
-      allBillItems.push(...billItems);
+    const billIds = [...result.created, ...result.updated].map(bill => bill._id);
+    res.status(billIds.length > 0 ? 201 : 200).json({ 
+      message: billIds.length > 0 ? 'Bills generated successfully' : 'No new or draft bills to generate',
+      summary: describeBillRun(result),
+      billIds,
+      skipped: result.skipped
     });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+// Rebuild a single draft bill from the customer's current subscriptions
+exports.regenerateBill = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const bill = await Bill.findOne({
+      _id: req.params.id,
+      areaId: { $in: req.permittedAreaIds }
+    }).session(session);
+
+    if (!bill) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+    if (bill.status !== 'Draft') {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Only draft bills can be regenerated' });
+    }
 
-    await BillItem.create(allBillItems, { session });
+    const result = await billingService.generateMonthlyBills({
+      areaIds: [bill.areaId],
+      userId: bill.userId,
+      month: bill.billMonth,
+      year: bill.billYear,
+      session
+    });
 
     await session.commitTransaction();
-    res.status(201).json({ 
-      message: 'Bills generated successfully',
-      billIds: createdBills.map(bill => bill._id)
+
+    if (result.removed.length > 0) {
+      return res.json({ message: 'Nothing left to bill; the draft bill was removed', bill: null });
+    }
+
+    const items = await BillItem.find({ billId: bill._id }).populate('publicationId', 'name price').lean();
+    res.json({
+      message: 'Draft bill regenerated',
+      bill: await Bill.findById(bill._id).lean(),
+      items
     });
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+// Issue draft bills, giving each the next bill number for its area and year.
+// Takes either billIds or a month and year (all drafts for that month).
+exports.finalizeBills = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { billIds, month, year, areaId } = req.body;
+
+    const query = {
+      areaId: { $in: areaId ? [areaId] : req.permittedAreaIds },
+      status: 'Draft'
+    };
+    if (Array.isArray(billIds) && billIds.length > 0) {
+      query._id = { $in: billIds };
+    } else if (month && year) {
+      query.billMonth = parseInt(month);
+      query.billYear = parseInt(year);
+    } else {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Provide billIds or a month and year' });
+    }
+
+    // Number in a stable order so a month's numbers follow area and customer
+    const drafts = await Bill.find(query).sort({ areaId: 1, createdAt: 1, _id: 1 }).session(session);
+    for (const bill of drafts) {
+      await billingService.finalizeBill(bill, session);
+    }
+
+    await session.commitTransaction();
+
+    // Autopay may have drawn wallets down
+    await walletService.notifyLowBalances(drafts.map(bill => bill.userId));
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'BILLS_FINALIZED',
+      actionDetails: `Finalised ${drafts.length} bill(s)`,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: `Finalised ${drafts.length} bill(s)`,
+      bills: drafts.map(bill => ({ _id: bill._id, billNumber: bill.billNumber, userId: bill.userId, totalAmount: bill.totalAmount }))
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+// Apply overdue status and late fees now instead of waiting for the next scheduled run
+exports.applyBillingPolicies = async (req, res) => {
+  try {
+    const result = await billingPolicyService.applyPolicies({ areaIds: req.permittedAreaIds });
+    res.json({ message: 'Billing policies applied', ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Raise a credit note (reduces the balance) or debit adjustment (increases it) against a
+// finalised bill. It takes effect only once someone else approves it.
+exports.createBillAdjustment = async (req, res) => {
+  try {
+    const { type, amount, reason } = req.body;
+
+    if (!['Credit Note', 'Debit Adjustment'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be Credit Note or Debit Adjustment' });
+    }
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      return res.status(400).json({ message: 'Amount must be a positive number' });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const bill = await Bill.findOne({ _id: req.params.id, areaId: { $in: req.permittedAreaIds } });
+    if (!bill) {
+      return res.status(404).json({ message: 'Bill not found' });
+    }
+    if (bill.status === 'Draft') {
+      return res.status(400).json({ message: 'Draft bills cannot be adjusted; regenerate the bill instead' });
+    }
+    if (bill.status === 'Carried Forward') {
+      return res.status(400).json({
+        message: 'This bill has been carried forward; adjust the bill it was carried to instead',
+        carriedForwardTo: bill.carriedForwardTo
+      });
+    }
+
+    const adjustment = await BillAdjustment.create({
+      billId: bill._id,
+      userId: bill.userId,
+      areaId: bill.areaId,
+      type,
+      amount: billingService.roundMoney(amount),
+      reason: reason.trim(),
+      requestedBy: req.user.id
+    });
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'BILL_ADJUSTMENT_REQUESTED',
+      actionDetails: `${type} of ${adjustment.amount} requested on bill ${bill._id}: ${adjustment.reason}`,
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({ message: `${type} submitted for approval`, adjustment });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// List adjustments, optionally by status or bill
+exports.getBillAdjustments = async (req, res) => {
+  try {
+    const { status, billId } = req.query;
+    const query = { areaId: { $in: req.permittedAreaIds } };
+    if (status) query.status = status;
+    if (billId) query.billId = billId;
+
+    const adjustments = await BillAdjustment.find(query)
+      .sort({ createdAt: -1 })
+      .populate('billId', 'billNumber billMonth billYear')
+      .populate('userId', 'firstName lastName email')
+      .populate('requestedBy', 'firstName lastName')
+      .populate('reviewedBy', 'firstName lastName')
+      .lean();
+
+    res.json({ adjustments });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Approve or reject a pending adjustment. The person who raised it cannot review it.
+exports.reviewBillAdjustment = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { decision, notes } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(decision)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Decision must be Approved or Rejected' });
+    }
+
+    const adjustment = await BillAdjustment.findOne({
+      _id: req.params.id,
+      areaId: { $in: req.permittedAreaIds }
+    }).session(session);
+
+    if (!adjustment) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Adjustment not found' });
+    }
+    if (adjustment.status !== 'Pending') {
+      await session.abortTransaction();
+      return res.status(400).json({ message: `Adjustment has already been ${adjustment.status.toLowerCase()}` });
+    }
+    if (adjustment.requestedBy.equals(req.user.id)) {
+      await session.abortTransaction();
+      return res.status(403).json({ message: 'An adjustment must be reviewed by someone other than the person who raised it' });
+    }
+
+    adjustment.status = decision;
+    adjustment.reviewedBy = req.user.id;
+    adjustment.reviewedAt = new Date();
+    adjustment.reviewNotes = notes;
+    await adjustment.save({ session });
+
+    let bill = await Bill.findById(adjustment.billId).session(session);
+    if (decision === 'Approved') {
+      await ledgerService.recordAdjustment(adjustment, bill, session);
+      bill = await billingService.recalculateBill(bill._id, session);
+    }
+
+    await SystemLog.create([{
+      userId: req.user.id,
+      actionType: decision === 'Approved' ? 'BILL_ADJUSTMENT_APPROVED' : 'BILL_ADJUSTMENT_REJECTED',
+      actionDetails: `${adjustment.type} ${adjustment._id} of ${adjustment.amount} on bill ${adjustment.billId}`,
+      ipAddress: req.ip
+    }], { session });
+
+    await session.commitTransaction();
+
+    res.json({ message: `Adjustment ${decision.toLowerCase()}`, adjustment, bill });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+// Refund all or part of a completed payment; the bill's balance is recalculated afterwards.
+// A wallet top-up is refunded out of the wallet, so only what has not been spent can be.
+exports.refundPayment = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { amount, reason, refundMethod, referenceNumber } = req.body;
+
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Amount must be a positive number' });
+    }
+    if (!reason || !reason.trim()) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const payment = await Payment.findById(req.params.id).populate('billId', 'areaId').session(session);
+    const isTopUp = Boolean(payment) && payment.purpose === 'Wallet Top-up';
+    // Top-ups belong to no bill; they are managed in the customer's areas
+    let paymentAreaIds = [];
+    if (isTopUp) {
+      const customer = await User.findById(payment.userId).select('areas').session(session);
+      paymentAreaIds = customer ? customer.areas : [];
+    } else if (payment && payment.billId) {
+      paymentAreaIds = [payment.billId.areaId];
+    }
+    const permitted = paymentAreaIds.some(areaId => req.permittedAreaIds.some(id => id.equals(areaId)));
+    if (!permitted) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    if (!['Completed', 'Refunded'].includes(payment.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: `A ${payment.status.toLowerCase()} payment cannot be refunded` });
+    }
+
+    let refundable = billingService.roundMoney(payment.amount - (payment.refundedAmount || 0));
+    if (isTopUp) {
+      refundable = Math.min(refundable, await ledgerService.walletBalance(payment.userId, session));
+    }
+    if (amount > refundable) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: `At most ${refundable} can be refunded on this payment` +
+          (isTopUp ? ', the unspent part of the top-up still in the wallet' : '')
+      });
+    }
+
+    const [refund] = await Refund.create([{
+      paymentId: payment._id,
+      purpose: payment.purpose,
+      billId: payment.billId ? payment.billId._id : undefined,
+      userId: payment.userId,
+      amount: billingService.roundMoney(amount),
+      reason: reason.trim(),
+      refundMethod: refundMethod || payment.paymentMethod,
+      referenceNumber,
+      processedBy: req.user.id
+    }], { session });
+
+    payment.refundedAmount = billingService.roundMoney((payment.refundedAmount || 0) + refund.amount);
+    if (payment.refundedAmount >= payment.amount) payment.status = 'Refunded';
+    payment.updatedAt = new Date();
+    await payment.save({ session });
+
+    let bill = null;
+    if (isTopUp) {
+      if (!(await ledgerService.recordWalletRefund(refund, payment, session))) {
+        await session.abortTransaction();
+        return res.status(409).json({ message: 'The wallet was spent in the meantime; check the balance and try again' });
+      }
+    } else {
+      await ledgerService.recordRefund(refund, payment, await Bill.findById(payment.billId._id).session(session), session);
+      bill = await billingService.recalculateBill(payment.billId._id, session);
+    }
+
+    await SystemLog.create([{
+      userId: req.user.id,
+      actionType: 'PAYMENT_REFUNDED',
+      actionDetails: `Refunded ${refund.amount} of ${isTopUp ? 'wallet top-up' : 'payment'} ${payment._id}: ${refund.reason}`,
+      ipAddress: req.ip
+    }], { session });
+
+    await session.commitTransaction();
+
+    res.status(201).json({ message: 'Refund recorded', refund, payment, bill });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
     handleError(res, error);
   } finally {
     session.endSession();
@@ -923,8 +1802,7 @@ exports.generateBills = async (req, res) => {
 exports.getPayments = async (req, res) => {
   try {
     const { startDate, endDate, status } = req.query;
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     const query = {
       'bill.areaId': { $in: areaIds }
@@ -948,8 +1826,7 @@ exports.getPayments = async (req, res) => {
 // Send payment reminders
 exports.sendPaymentReminders = async (req, res) => {
   try {
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     // Find overdue bills
     const overdueBills = await Bill.find({
@@ -996,8 +1873,7 @@ exports.sendPaymentReminders = async (req, res) => {
 exports.generateDeliveryReport = async (req, res) => {
   try {
     const { month, year } = req.query;
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     const report = await DeliverySummaryReport.findOne({
       reportMonth: parseInt(month),
@@ -1061,8 +1937,7 @@ exports.generateDeliveryReport = async (req, res) => {
 exports.generateFinancialReport = async (req, res) => {
   try {
     const { month, year } = req.query;
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0);
@@ -1070,6 +1945,7 @@ exports.generateFinancialReport = async (req, res) => {
     // Get bills for the period
     const bills = await Bill.find({
       areaId: { $in: areaIds },
+      status: { $ne: 'Draft' },
       billDate: { $gte: startDate, $lte: endDate }
     });
 
@@ -1132,8 +2008,7 @@ exports.processDelivererPayments = async (req, res) => {
 
   try {
     const { month, year } = req.body;
-    const areas = await Area.find({ managers: req.user.id });
-    const areaIds = areas.map(area => area._id);
+    const areaIds = req.permittedAreaIds;
 
     // Get all deliverers in manager's areas
     const deliverers = await DeliveryPersonnel.find({
@@ -1224,18 +2099,95 @@ exports.getPersonnelIdByUserId = async (req, res) => {
   }
 };
 
+// Re-optimise an existing route's stop order, optionally from a new depot
+exports.optimizeRoute = async (req, res) => {
+  try {
+    const { depot, returnToDepot = false } = req.body;
+
+    const route = await DeliveryRoute.findOne({
+      _id: req.params.id,
+      areaId: { $in: req.permittedAreaIds }
+    });
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    if (depot !== undefined) {
+      if (!routeOptimizer.hasCoordinates(depot)) {
+        return res.status(400).json({ message: 'Depot needs numeric latitude and longitude' });
+      }
+      route.depot = { latitude: depot.latitude, longitude: depot.longitude };
+    }
+
+    const optimization = await optimizeRouteStops(route, { returnToDepot });
+
+    res.json({
+      message: 'Route optimised',
+      routeId: route._id,
+      depot: route.depot,
+      ...optimization
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Stop as returned by the route endpoints
+const describeStop = (stop) => ({
+  _id: stop._id,
+  sequenceNumber: stop.sequenceNumber,
+  address: stop.addressId
+});
+
+// Route in one of the caller's areas, active or not
+const findPermittedRoute = (req, id) => DeliveryRoute.findOne({
+  _id: id,
+  areaId: { $in: req.permittedAreaIds }
+});
+
+// Active address that can be delivered in the route's area
+const findRoutableAddress = async (route, addressId) => {
+  const address = await Address.findOne({ _id: addressId, isActive: true });
+  if (!address) return null;
+  if (address.areaId && address.areaId.toString() === route.areaId.toString()) return address;
+
+  const subscribed = await Subscription.exists({
+    addressId,
+    areaId: route.areaId,
+    status: { $in: ['Active', 'Paused'] }
+  });
+  return subscribed ? address : null;
+};
+
 exports.getRoutes = async (req,res) =>{
 
   try {
-    const { areaId } = req.query;
-    const query = { isActive: true }; // Only fetch active routes
+    const { areaId, includeInactive } = req.query;
+    const query = { areaId: { $in: req.permittedAreaIds } };
+    if (includeInactive !== 'true') {
+      query.isActive = true; // Only fetch active routes unless asked
+    }
     if (areaId) {
       query.areaId = areaId;
     }
     const routes = await DeliveryRoute.find(query)
       .populate('areaId', 'name') // Populate area name
-      .populate('personnelId', 'firstName lastName'); // Populate deliverer details
-    res.json({ routes });
+      .populate({ path: 'personnelId', select: 'userId', populate: { path: 'userId', select: 'firstName lastName' } }) // Populate deliverer details
+      .lean();
+
+    const stops = await RouteAddress.find({ routeId: { $in: routes.map(route => route._id) } })
+      .sort({ sequenceNumber: 1, createdAt: 1 })
+      .populate('addressId', 'streetAddress city postalCode latitude longitude needsReview')
+      .lean();
+
+    const routesWithStops = routes.map(route => ({
+      ...route,
+      stops: stops
+        .filter(stop => stop.routeId.toString() === route._id.toString())
+        .map(describeStop)
+    }));
+
+    res.json({ routes: routesWithStops });
   } catch (error) {
     console.error('Error fetching routes:', error);
     res.status(500).json({ message: 'Failed to fetch routes' });
@@ -1243,6 +2195,557 @@ exports.getRoutes = async (req,res) =>{
 
 };
 
+// Change a route's name, description, deliverer, optimisation criteria or depot
+exports.updateRoute = async (req, res) => {
+  try {
+    const { routeName, routeDescription, personnelId, optimizationCriteria, depot } = req.body;
+
+    const route = await findPermittedRoute(req, req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    if (personnelId) {
+      const deliverer = await DeliveryPersonnel.findOne({
+        _id: personnelId,
+        areasAssigned: route.areaId,
+        isActive: true
+      });
+      if (!deliverer) {
+        return res.status(400).json({ message: 'Invalid or unauthorized deliverer for this area' });
+      }
+      route.personnelId = deliverer._id;
+    }
+    if (depot !== undefined) {
+      if (depot !== null && !routeOptimizer.hasCoordinates(depot)) {
+        return res.status(400).json({ message: 'Depot needs numeric latitude and longitude' });
+      }
+      route.depot = depot || undefined;
+    }
+    if (routeName) route.routeName = routeName;
+    if (routeDescription !== undefined) route.routeDescription = routeDescription;
+    if (optimizationCriteria) route.optimizationCriteria = optimizationCriteria;
+
+    await route.save();
+
+    res.json({ message: 'Route updated', route });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Activate or deactivate a route. On deactivation, placeStops moves its addresses onto
+// the area's other active routes; otherwise they stay with the inactive route.
+// Activation is refused while any of its addresses is on another active route.
+exports.setRouteStatus = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { isActive, placeStops = false } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'isActive must be true or false' });
+    }
+
+    const route = await findPermittedRoute(req, req.params.id).session(session);
+    if (!route) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    if (route.isActive === isActive) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: `Route is already ${isActive ? 'active' : 'inactive'}` });
+    }
+
+    const stops = await routeStopService.getStops(route._id, session);
+
+    if (isActive) {
+      const otherRouteIds = await DeliveryRoute.find({
+        _id: { $ne: route._id },
+        areaId: route.areaId,
+        isActive: true
+      }).distinct('_id').session(session);
+      const conflicts = await RouteAddress.find({
+        routeId: { $in: otherRouteIds },
+        addressId: { $in: stops.map(stop => stop.addressId._id) }
+      }).populate('routeId', 'routeName').session(session).lean();
+
+      if (conflicts.length > 0) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          message: 'Some addresses on this route are already on another active route',
+          conflicts: conflicts.map(conflict => ({
+            addressId: conflict.addressId,
+            routeId: conflict.routeId._id,
+            routeName: conflict.routeId.routeName
+          }))
+        });
+      }
+    }
+
+    route.isActive = isActive;
+    await route.save({ session });
+
+    // Moving the stops and deactivating the route land together or not at all
+    const placed = [];
+    if (!isActive && placeStops) {
+      for (const stop of stops) {
+        const placement = await routeStopService.placeAddress(route.areaId, stop.addressId._id, session);
+        if (placement) {
+          await routeStopService.removeStop(route, stop._id, session);
+          placed.push({ addressId: stop.addressId._id, routeId: placement.route._id, sequenceNumber: placement.stop.sequenceNumber });
+        }
+      }
+    }
+
+    await session.commitTransaction();
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: isActive ? 'ROUTE_ACTIVATED' : 'ROUTE_DEACTIVATED',
+      actionDetails: `${isActive ? 'Activated' : 'Deactivated'} route ${route.routeName}` +
+        (placed.length > 0 ? ` and moved ${placed.length} stops to other routes` : ''),
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: `Route ${isActive ? 'activated' : 'deactivated'}`,
+      route,
+      placedStops: placed,
+      remainingStops: stops.length - placed.length
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+// Copy a route with its stops. The copy starts inactive so it can be edited without
+// visiting addresses twice, unless replaceOriginal swaps it in for the source route.
+exports.cloneRoute = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { routeName, personnelId, replaceOriginal = false } = req.body;
+
+    const route = await findPermittedRoute(req, req.params.id).session(session);
+    if (!route) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    if (personnelId) {
+      const deliverer = await DeliveryPersonnel.findOne({
+        _id: personnelId,
+        areasAssigned: route.areaId,
+        isActive: true
+      }).session(session);
+      if (!deliverer) {
+        await session.abortTransaction();
+        return res.status(400).json({ message: 'Invalid or unauthorized deliverer for this area' });
+      }
+    }
+
+    // The copy and the deactivation of one of the two routes are written together, so a
+    // failure never leaves both active with the same stops
+    const clone = await routeStopService.cloneRoute(route, { routeName, personnelId }, session);
+
+    if (replaceOriginal) {
+      route.isActive = false;
+      await route.save({ session });
+    } else {
+      clone.isActive = false;
+      await clone.save({ session });
+    }
+
+    await session.commitTransaction();
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'ROUTE_CLONED',
+      actionDetails: `Cloned route ${route.routeName} as ${clone.routeName}` +
+        (replaceOriginal ? ' and deactivated the original' : ''),
+      ipAddress: req.ip
+    });
+
+    const stops = await routeStopService.getStops(clone._id);
+
+    res.status(201).json({
+      message: 'Route cloned',
+      route: clone,
+      stops: stops.map(describeStop)
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    handleError(res, error);
+  } finally {
+    session.endSession();
+  }
+};
+
+// Insert an address at a 1-based position (the end when omitted)
+exports.addRouteStop = async (req, res) => {
+  try {
+    const { addressId, position } = req.body;
+
+    if (!addressId) {
+      return res.status(400).json({ message: 'addressId is required' });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({ message: 'position must be a whole number from 1' });
+    }
+
+    const route = await findPermittedRoute(req, req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const address = await findRoutableAddress(route, addressId);
+    if (!address) {
+      return res.status(400).json({ message: 'Address not found in this route\'s area' });
+    }
+
+    const onRoute = await RouteAddress.exists({ routeId: route._id, addressId });
+    const otherRoute = route.isActive ? await routeStopService.findRouteForAddress(route.areaId, addressId) : null;
+    if (onRoute || otherRoute) {
+      return res.status(409).json({
+        message: `Address is already on route ${onRoute ? route.routeName : otherRoute.routeName}`
+      });
+    }
+
+    const stop = await routeStopService.insertStop(route, address._id, position);
+
+    res.status(201).json({
+      message: 'Stop added',
+      stop: describeStop(stop),
+      estimatedDistanceKm: route.estimatedDistanceKm
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Move one stop to a 1-based position
+exports.moveRouteStop = async (req, res) => {
+  try {
+    const { position } = req.body;
+
+    if (!Number.isInteger(position) || position < 1) {
+      return res.status(400).json({ message: 'position must be a whole number from 1' });
+    }
+
+    const route = await findPermittedRoute(req, req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const stops = await routeStopService.moveStop(route, req.params.stopId, position);
+    if (!stops) {
+      return res.status(404).json({ message: 'Stop not found on this route' });
+    }
+
+    res.json({
+      message: 'Stop moved',
+      stops: stops.map(describeStop),
+      estimatedDistanceKm: route.estimatedDistanceKm
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.removeRouteStop = async (req, res) => {
+  try {
+    const route = await findPermittedRoute(req, req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const stops = await routeStopService.removeStop(route, req.params.stopId);
+    if (!stops) {
+      return res.status(404).json({ message: 'Stop not found on this route' });
+    }
+
+    res.json({
+      message: 'Stop removed',
+      stops: stops.map(describeStop),
+      estimatedDistanceKm: route.estimatedDistanceKm
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Set the whole visiting order at once; stopIds lists every stop on the route
+exports.reorderRouteStops = async (req, res) => {
+  try {
+    const { stopIds } = req.body;
+
+    if (!Array.isArray(stopIds)) {
+      return res.status(400).json({ message: 'stopIds must be an array' });
+    }
+
+    const route = await findPermittedRoute(req, req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const stops = await routeStopService.reorderStops(route, stopIds);
+    if (!stops) {
+      return res.status(400).json({ message: 'stopIds must list every stop on the route exactly once' });
+    }
 
+    res.json({
+      message: 'Stops reordered',
+      stops: stops.map(describeStop),
+      estimatedDistanceKm: route.estimatedDistanceKm
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+
+// List permission grants in the caller's areas
+exports.getPermissionGrants = async (req, res) => {
+  try {
+    const grants = await PermissionGrant.find({ areaId: { $in: req.permittedAreaIds } })
+      .populate('userId', 'firstName lastName email role')
+      .populate('areaId', 'name city')
+      .populate('grantedBy', 'firstName lastName')
+      .lean();
+
+    res.json({ grants, availablePermissions: PERMISSIONS });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Create or replace the permissions a user holds in one area
+exports.setPermissionGrant = async (req, res) => {
+  try {
+    const { userId, areaId, permissions } = req.body;
+
+    if (!mongoose.isValidObjectId(userId) || !areaId) {
+      return res.status(400).json({ message: 'Valid user ID and area ID are required' });
+    }
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({ message: 'At least one permission is required' });
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const grant = await PermissionGrant.findOneAndUpdate(
+      { userId, areaId },
+      {
+        permissions: [...new Set(permissions)],
+        grantedBy: req.user.id,
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'PERMISSIONS_GRANTED',
+      actionDetails: `Granted ${grant.permissions.join(', ')} to user ${userId} in area ${areaId}`,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Permissions updated successfully', grant });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Remove all permissions a grant gives in one area
+exports.revokePermissionGrant = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const grant = await PermissionGrant.findOneAndDelete({
+      _id: id,
+      areaId: { $in: req.permittedAreaIds }
+    });
+
+    if (!grant) {
+      return res.status(404).json({ message: 'Permission grant not found' });
+    }
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'PERMISSIONS_REVOKED',
+      actionDetails: `Revoked ${grant.permissions.join(', ')} from user ${grant.userId} in area ${grant.areaId}`,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Permissions revoked successfully' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// List API keys issued for the caller's areas (never the keys themselves)
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ areaId: { $in: req.permittedAreaIds } })
+      .select('-keyHash')
+      .populate('areaId', 'name city')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ apiKeys });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Issue an API key for one area. The plaintext key is only returned here.
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, areaId, permissions, expiresAt } = req.body;
+
+    if (!name || !areaId) {
+      return res.status(400).json({ message: 'Name and area ID are required' });
+    }
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({ message: 'At least one permission is required' });
+    }
+
+    const invalid = permissions.filter(permission =>
+      !PERMISSIONS.includes(permission) || USER_ONLY_PERMISSIONS.includes(permission));
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Permissions not allowed for API keys: ${invalid.join(', ')}` });
+    }
+
+    // A key can never do more than its creator may do in that area
+    for (const permission of permissions) {
+      const areaIds = await getPermittedAreaIds(req.user, permission);
+      if (!areaIds.some(id => id.toString() === areaId.toString())) {
+        return res.status(403).json({ message: `You do not hold ${permission} in this area` });
+      }
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey({
+      name,
+      areaId,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.id,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'API_KEY_CREATED',
+      actionDetails: `Created API key ${apiKey.prefix} (${name}) for area ${areaId} with ${apiKey.permissions.join(', ')}`,
+      ipAddress: req.ip
+    });
+
+    const { keyHash, ...apiKeyData } = apiKey.toObject();
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey: apiKeyData
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, areaId: { $in: req.permittedAreaIds }, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'Active API key not found' });
+    }
+
+    await SystemLog.create({
+      userId: req.user.id,
+      actionType: 'API_KEY_REVOKED',
+      actionDetails: `Revoked API key ${apiKey.prefix} (${apiKey.name})`,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Copies of each publication needed per area for a given day, for the publisher
+exports.getPrintOrders = async (req, res) => {
+  try {
+    const { date, areaId } = req.query;
+    const orderDate = publicationCalendar.parseDay(date || new Date());
+
+    const areaIds = areaId ? [new mongoose.Types.ObjectId(areaId)] : req.permittedAreaIds;
+
+    const orders = await Subscription.aggregate([
+      {
+        $match: {
+          areaId: { $in: areaIds },
+          status: 'Active',
+          startDate: { $lte: orderDate },
+          $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: orderDate } }]
+        }
+      },
+      {
+        $group: {
+          _id: { publicationId: '$publicationId', areaId: '$areaId' },
+          copies: { $sum: '$quantity' },
+          subscriptions: { $sum: 1 }
+        }
+      },
+      { $lookup: { from: 'publications', localField: '_id.publicationId', foreignField: '_id', as: 'publication' } },
+      { $lookup: { from: 'areas', localField: '_id.areaId', foreignField: '_id', as: 'area' } },
+      { $unwind: '$publication' },
+      { $unwind: '$area' },
+      {
+        $project: {
+          _id: 0,
+          publicationId: '$_id.publicationId',
+          publication: 1,
+          publicationName: '$publication.name',
+          language: '$publication.language',
+          areaId: '$_id.areaId',
+          areaName: '$area.name',
+          copies: 1,
+          subscriptions: 1
+        }
+      },
+      { $sort: { areaName: 1, publicationName: 1 } }
+    ]);
+
+    // Drop titles with no issue on that day
+    const dueOrders = orders
+      .filter(order => publicationCalendar.isPublishedOn(order.publication, orderDate))
+      .map(({ publication, ...order }) => order);
+
+    res.json({ date: orderDate, orders: dueOrders });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
 
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { Payment } = require('../models');
+const paymentService = require('../services/payment.service');
+
+// Gateway callback. The body arrives raw so the provider's signature can be checked
+// against exactly what was sent.
+exports.handleWebhook = async (req, res) => {
+  let provider;
+  let event;
+
+  try {
+    provider = paymentService.getProvider(req.params.provider);
+  } catch (error) {
+    return res.status(404).json({ message: error.message });
+  }
+
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    event = provider.verifyWebhook(rawBody, req.headers);
+  } catch (error) {
+    console.error('Webhook verification failed:', error.message);
+    return res.status(400).json({ message: 'Invalid webhook' });
+  }
+
+  try {
+    const result = await paymentService.handleEvent(provider.name, event);
+    res.json({ received: true, result: result.status });
+  } catch (error) {
+    // A 5xx makes the provider retry the delivery
+    console.error('Webhook handling error:', error);
+    res.status(500).json({ message: 'Error handling webhook' });
+  }
+};
+
+// Development only: finish a fake checkout as the gateway would, by sending its signed
+// webhook through the same handling as real callbacks
+exports.completeFakeCheckout = async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { outcome = 'succeeded', failureReason } = req.body || {};
+
+    const payment = await Payment.findOne({ provider: 'fake', checkoutReference: reference });
+    if (!payment) {
+      return res.status(404).json({ message: 'Checkout not found' });
+    }
+
+    const provider = paymentService.getProvider('fake');
+    const { body, headers } = provider.simulate({
+      checkoutReference: reference,
+      amount: payment.amount,
+      outcome,
+      failureReason
+    });
+    const result = await paymentService.handleEvent(provider.name, provider.verifyWebhook(body, headers));
+
+    res.json({ message: `Fake checkout ${result.status}`, payment: result.payment || payment });
+  } catch (error) {
+    console.error('Fake checkout error:', error);
+    res.status(500).json({ message: 'Error completing fake checkout', error: error.message });
+  }
+};
@@ -9,15 +9,26 @@ const authRoutes = require('./routes/auth.routes');
 const customerRoutes = require('./routes/customer.routes');
 const managerRoutes = require('./routes/manager.routes');
 const delivererRoutes = require('./routes/deliverer.routes');
+const adminRoutes = require('./routes/admin.routes');
+const paymentRoutes = require('./routes/payment.routes');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
 
+// Import services
+const pauseService = require('./services/pause.service');
+const billingPolicyService = require('./services/billing-policy.service');
+const scheduleService = require('./services/schedule.service');
+const mailService = require('./services/mail.service');
+const paymentService = require('./services/payment.service');
+
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(morgan('dev'));
+// Payment webhooks read the raw body, so they are mounted before the JSON parser
+app.use('/api/payments', paymentRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -26,6 +37,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/customer', authenticateToken, customerRoutes);
 app.use('/api/manager', authenticateToken, managerRoutes);
 app.use('/api/deliverer', authenticateToken, delivererRoutes);
+app.use('/api/admin', authenticateToken, adminRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -38,7 +50,19 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb+srv://mangarajanmol666:test
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Start and end subscription pauses as their windows open and close
+  pauseService.startPauseSync();
+  // Retry outgoing mail whose first delivery attempt failed
+  mailService.startMailRetry();
+  // Fail gateway payments whose checkout lapsed without being paid
+  paymentService.startPaymentExpiry();
+  // Move unpaid bills to Overdue and charge late fees
+  billingPolicyService.startBillingPolicies();
+  // Create each area's schedules for the next day at its configured time
+  scheduleService.startScheduleGeneration();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Start server
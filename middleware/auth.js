@@ -1,11 +1,54 @@
 const jwt = require('jsonwebtoken');
-const {User,DeliveryPersonnel} = require('../models'); 
+const {User,DeliveryPersonnel,AuthSession} = require('../models'); 
+const apiKeyService = require('../services/api-key.service');
 
+// Only touch AuthSession.lastSeenAt once per minute per session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Integrations authenticate with an API key instead of a user session. The key acts
+// for the user who created it, but only within its area and permission scope.
+const authenticateApiKey = async (key, req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.verifyKey(key, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({ message: 'Invalid, expired or revoked API key.' });
+    }
+
+    // A key stops working as soon as the user who issued it is deactivated, and never
+    // does more than its owner currently may (see getPermittedAreaIds)
+    const owner = await User.findById(apiKey.createdBy).select('role isActive');
+    if (!owner || !owner.isActive) {
+      return res.status(401).json({ message: 'API key owner is no longer active.' });
+    }
+
+    req.user = {
+      id: apiKey.createdBy,
+      role: 'ApiClient',
+      deliveryPersonnel: null,
+      apiKey: {
+        id: apiKey._id,
+        areaId: apiKey.areaId,
+        permissions: apiKey.permissions,
+        ownerRole: owner.role,
+      },
+    };
+
+    next();
+  } catch (err) {
+    console.error('API key verification error:', err);
+    res.status(500).json({ message: 'Error verifying API key.' });
+  }
+};
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer <token>
 
+  const apiKey = req.headers['x-api-key'] || (apiKeyService.isApiKey(token) ? token : null);
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
   if (!token) {
     return res.status(401).json({ message: 'Access denied. No token provided.' });
   }
@@ -13,11 +56,25 @@ const authenticateToken = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     // Fetch user from database
-    const user = await User.findById(decoded.id).select('role'); // Adjust fields as needed
+    const user = await User.findById(decoded.id).select('role isActive'); // Adjust fields as needed
     if (!user) {
       return res.status(401).json({ message: 'User not found.' });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated.' });
+    }
+
+    // Tokens are bound to a server-side session so logout and revocation apply immediately
+    const session = decoded.sid ? await AuthSession.findById(decoded.sid) : null;
+    if (!session || session.revokedAt || !session.userId.equals(user._id)) {
+      return res.status(401).json({ message: 'Session has been revoked. Please log in again.' });
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+      await AuthSession.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ipAddress: req.ip });
+    }
+
     // Fetch delivery personnel record if applicable
     const personnel = await DeliveryPersonnel.findOne({ userId: user._id });
     
@@ -26,6 +83,7 @@ const authenticateToken = async (req, res, next) => {
       id: user._id,
       role: user.role, // Ensure User model has a 'role' field
       deliveryPersonnel: personnel ? personnel._id : null,
+      sessionId: session._id,
     };
 
     next();
@@ -35,6 +93,44 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// For 2FA enrolment: accept either a normal access token or the setup challenge
+// handed out by login to users whose role requires 2FA but who have not enrolled yet
+const authenticateTokenOrSetupChallenge = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa-setup') {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    const user = await User.findById(decoded.id).select('role isActive');
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    req.user = {
+      id: user._id,
+      role: user.role,
+      twoFactorSetupChallenge: true,
+    };
+    next();
+  } catch (err) {
+    res.status(401).json({ message: 'Invalid or expired challenge. Please log in again.' });
+  }
+};
+
+// For endpoints that only make sense for a signed-in person, such as their own sessions
+const rejectApiKeys = (req, res, next) => {
+  if (req.user && req.user.apiKey) {
+    return res.status(403).json({ message: 'This endpoint cannot be used with an API key.' });
+  }
+  next();
+};
+
 const authorizeRole = (roles) => {
   return (req, res, next) => {
     if (!req.user || !roles.includes(req.user.role)) {
@@ -44,4 +140,4 @@ const authorizeRole = (roles) => {
   };
 };
 
-module.exports = { authenticateToken, authorizeRole };
\ No newline at end of file
+module.exports = { authenticateToken, authenticateTokenOrSetupChallenge, rejectApiKeys, authorizeRole };
\ No newline at end of file
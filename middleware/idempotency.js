@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../models');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000; // An unfinished request older than this was abandoned
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+  .digest('hex');
+
+// Honour an optional Idempotency-Key header. The first request with a key runs normally
+// and its response is stored; a retry with the same key gets that response replayed
+// instead of repeating the work. Keys are scoped to the caller and kept for 24 hours.
+// Server errors are stored and replayed too: the handler may have moved money before it
+// failed, so a retry needs a new key. Conflicts (409) are not stored, as the handlers
+// refuse them without changing anything. Nor is a response not sent through res.json;
+// it releases the key once it has been sent. A request that never finished (the client
+// disconnected, or the process died) keeps the key until a retry takes it over once it
+// is IN_PROGRESS_TIMEOUT_MS old.
+const idempotent = () => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const requestHash = hashRequest(req);
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId: req.user.id,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash,
+        expiresAt: new Date(Date.now() + KEY_TTL_MS)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ userId: req.user.id, key });
+      if (!existing) {
+        return res.status(409).json({ message: 'Request with this Idempotency-Key is being retried; try again' });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status === 'Completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      const abandoned = existing.createdAt < new Date(Date.now() - IN_PROGRESS_TIMEOUT_MS);
+      record = abandoned && await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'InProgress', createdAt: existing.createdAt },
+        { createdAt: new Date() },
+        { new: true }
+      );
+      if (!record) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still in progress' });
+      }
+    }
+
+    // Capture the response as it is sent
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      captured = true;
+      // A 409 means the request lost a race with another one and changed nothing
+      const save = res.statusCode === 409
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'Completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        );
+      save.catch(err => console.error('Idempotency key save error:', err));
+      return originalJson(body);
+    };
+
+    // Responses that bypass res.json (the default error handler, res.send) are not stored:
+    // release the key once the response is sent so the request can be retried. A client
+    // that disconnects early does not release it, as the handler may still be running.
+    res.on('finish', () => {
+      if (captured) return;
+      IdempotencyKey.deleteOne({ _id: record._id, status: 'InProgress' })
+        .catch(err => console.error('Idempotency key release error:', err));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    res.status(500).json({ message: 'Error checking Idempotency-Key' });
+  }
+};
+
+module.exports = { idempotent };
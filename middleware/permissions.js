@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { Area, PermissionGrant } = require('../models');
+
+// Every permission that can be granted within an area.
+// Managers implicitly hold all of them in the areas they manage.
+const PERMISSIONS = [
+  'areas:read',
+  'customers:read',
+  'addresses:manage',
+  'users:manage',
+  'deliverers:manage',
+  'publications:manage',
+  'subscriptions:manage',
+  'routes:manage',
+  'schedules:manage',
+  'billing:read',
+  'billing:write',
+  'billing:approve',
+  'payouts:write',
+  'reports:read',
+  'print-orders:read',
+  'permissions:manage',
+  'api-keys:manage'
+];
+
+// Administrative permissions that can never be given to an API key
+const USER_ONLY_PERMISSIONS = ['permissions:manage', 'api-keys:manage', 'users:manage', 'billing:approve'];
+
+// Ids of all areas in which the user holds the given permission
+const getPermittedAreaIds = async (user, permission) => {
+  // API keys are bound to a single area and a fixed permission list, and only work while
+  // the key's owner still holds the permission in that area
+  if (user.apiKey) {
+    if (!user.apiKey.permissions.includes(permission)) return [];
+    const ownerAreaIds = await getPermittedAreaIds({ id: user.id, role: user.apiKey.ownerRole }, permission);
+    return ownerAreaIds.some(id => id.toString() === user.apiKey.areaId.toString()) ? [user.apiKey.areaId] : [];
+  }
+
+  const [managedAreaIds, grantedAreaIds] = await Promise.all([
+    user.role === 'Manager' ? Area.find({ managers: user.id }).distinct('_id') : [],
+    PermissionGrant.find({ userId: user.id, permissions: permission }).distinct('areaId')
+  ]);
+
+  const unique = new Map();
+  [...managedAreaIds, ...grantedAreaIds].forEach(id => unique.set(id.toString(), id));
+  return [...unique.values()];
+};
+
+// Require a permission, scoped to the area named in the request (params, body or query).
+// Sets req.permittedAreaIds to every area where the permission is held so controllers
+// can scope their queries without looking up area membership again.
+const authorizePermission = (permission) => {
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+      }
+
+      const areaIds = await getPermittedAreaIds(req.user, permission);
+      if (areaIds.length === 0) {
+        return res.status(403).json({ message: `Access denied. Missing permission ${permission}.` });
+      }
+
+      const requestedAreaId = req.params.areaId || (req.body && req.body.areaId) || req.query.areaId;
+      if (requestedAreaId) {
+        const allowed = mongoose.isValidObjectId(requestedAreaId) &&
+          areaIds.some(id => id.toString() === requestedAreaId.toString());
+        if (!allowed) {
+          return res.status(403).json({ message: `Access denied. Missing permission ${permission} for this area.` });
+        }
+      }
+
+      req.permittedAreaIds = areaIds;
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err);
+      res.status(500).json({ message: 'Error checking permissions' });
+    }
+  };
+};
+
+module.exports = { PERMISSIONS, USER_ONLY_PERMISSIONS, getPermittedAreaIds, authorizePermission };
@@ -0,0 +1,55 @@
+const { SystemLog } = require('../models');
+
+// Fixed-window, in-process request counter keyed by client IP.
+// Good enough for a single instance; counters reset when the server restarts.
+const rateLimit = ({ name, windowMs, max }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return async (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs, logged: false };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+
+      // One log entry per IP per window is enough to spot an attack
+      if (!entry.logged) {
+        entry.logged = true;
+        try {
+          await SystemLog.create({
+            actionType: 'RATE_LIMITED',
+            actionDetails: `${name}: more than ${max} requests in ${windowMs / 1000}s`,
+            ipAddress: req.ip
+          });
+        } catch (err) {
+          console.error('Rate limit log error:', err);
+        }
+      }
+
+      return res.status(429).json({
+        message: 'Too many requests. Please try again later.',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
@@ -8,34 +8,78 @@ const UserSchema = new Schema({
   role: { 
     type: String, 
     required: true, 
-    enum: ['Manager', 'Deliverer', 'Customer'] 
+    enum: ['Manager', 'Deliverer', 'Customer', 'Staff', 'Admin'] 
   },
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
   email: { type: String, required: true, unique: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
   phone: { type: String },
   dateCreated: { type: Date, default: Date.now },
   isActive: { type: Boolean, default: true },
+  closedAt: { type: Date },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: { type: Date },
+  lockCount: { type: Number, default: 0 },
+  inviteStatus: { type: String, enum: ['Pending', 'Accepted'] },
+  invitedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  invitedAt: { type: Date },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String },
+    pendingSecret: { type: String },
+    backupCodes: [{ type: String }],
+    lastUsedStep: { type: Number }, // TOTP time step of the last accepted code
+    enabledAt: { type: Date }
+  },
   areas: [{ type: Schema.Types.ObjectId, ref: 'Area' }],
   defaultAddress: { type: Schema.Types.ObjectId, ref: 'Address' },
   notificationPreferences: {
     email: { type: Boolean, default: true },
     sms: { type: Boolean, default: false }
-  }
+  },
+  wallet: {
+    autopay: { type: Boolean, default: false }, // Settle new bills from the wallet when they are issued
+    lowBalanceThreshold: { type: Number, default: 0 }, // Email when the balance falls below this; 0 turns it off
+    lowBalanceNotifiedAt: { type: Date } // Cleared by the next top-up
+  },
+  balanceVersion: { type: Number, default: 0 } // Bumped by every wallet or credit spend (see ledger.service)
 });
 
+// Postal codes are stored upper case without spaces, the form geocodingService.normalizePostalCode
+// produces, so an area can be looked up by exact match
+const normalizePostalCode = (postalCode) => (postalCode || '').toString().replace(/\s+/g, '').toUpperCase();
+
 // Area Schema - Represents geographical regions
 const AreaSchema = new Schema({
     name: { type: String, required: true },
     description: { type: String },
     city: { type: String, required: true },
     state: { type: String, required: true },
-    postalCodes: [{ type: String }],
+    postalCodes: [{ type: String, set: normalizePostalCode }],
     managers: [{ type: Schema.Types.ObjectId, ref: 'User' }],
     deliverers: [{ type: Schema.Types.ObjectId, ref: 'User' }],
     customers: [{ type: Schema.Types.ObjectId, ref: 'User' }],  // Fixed capitalization
     publications: [{ type: Schema.Types.ObjectId, ref: 'Publication' }],
-    isActive: { type: Boolean, default: true }
+    isActive: { type: Boolean, default: true },
+    mergedInto: { type: Schema.Types.ObjectId, ref: 'Area' },
+    billing: {
+      // Issues: bill every issue published, less paused and failed days
+      // Deliveries: bill only copies marked Delivered
+      mode: { type: String, enum: ['Issues', 'Deliveries'], default: 'Issues' },
+      lateFee: {
+        type: { type: String, enum: ['None', 'Flat', 'Percent'], default: 'None' },
+        amount: { type: Number, default: 0 }, // Flat amount, or percentage of the outstanding balance
+        graceDays: { type: Number, default: 0 } // Days after the due date before the fee is charged
+      }
+    },
+    scheduling: {
+      // Create the next day's delivery schedules automatically
+      autoGenerate: { type: Boolean, default: true },
+      runAt: { type: String, default: '18:00' }, // Local time "HH:MM" on the day before delivery
+      holidays: [{ type: Date }] // Days with no deliveries
+    }
   });
 
 // Address Schema
@@ -49,17 +93,32 @@ const AddressSchema = new Schema({
   areaId: { type: Schema.Types.ObjectId, ref: 'Area' },
   latitude: { type: Number },
   longitude: { type: Number },
+  geocodeSource: { type: String }, // Provider that supplied the coordinates, or 'Manual'
+  geocodedAt: { type: Date },
+  needsReview: { type: Boolean, default: false }, // No area or coordinates found automatically
+  reviewReason: { type: String },
   deliveryInstructions: { type: String },
   isDefault: { type: Boolean, default: false },
   isActive: { type: Boolean, default: true }
 });
+AreaSchema.index({ postalCodes: 1 });
+
+// Centre point of a postal code, used for offline geocoding
+const PostalCodeCentroidSchema = new Schema({
+  postalCode: { type: String, required: true, unique: true }, // Normalised: upper case, no spaces
+  latitude: { type: Number, required: true },
+  longitude: { type: Number, required: true },
+  city: { type: String },
+  state: { type: String },
+  updatedAt: { type: Date, default: Date.now }
+});
 
 // Publication Schema
 const PublicationSchema = new Schema({
   name: { type: String, required: true },
   language: { type: String, required: true },
   description: { type: String },
-  price: { type: Number, required: true },
+  price: { type: Number, required: true }, // Per copy of a single issue
   publicationType: { 
     type: String, 
     required: true, 
@@ -69,6 +128,9 @@ const PublicationSchema = new Schema({
     type: String,
     enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
   }],
+  issueDayOfMonth: { type: Number, min: 1, max: 31 }, // Monthly/Quarterly issues, defaults to the 1st
+  issueMonths: [{ type: Number, min: 1, max: 12 }], // Quarterly issues, defaults to Jan/Apr/Jul/Oct
+  issueDates: [{ type: Date }], // Explicit issue calendar, overrides the recurring rules
   managerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   areas: [{ type: Schema.Types.ObjectId, ref: 'Area' }],
   isActive: { type: Boolean, default: true },
@@ -152,10 +214,17 @@ const subscriptionChangeRequestSchema = new Schema({
 // Subscription Pause Schema
 const SubscriptionPauseSchema = new Schema({
   subscriptionId: { type: Schema.Types.ObjectId, ref: 'Subscription', required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
   startDate: { type: Date, required: true },
-  endDate: { type: Date, required: true },
+  endDate: { type: Date, required: true }, // Last paused day, inclusive
   reason: { type: String },
-  createdAt: { type: Date, default: Date.now }
+  status: {
+    type: String,
+    default: 'Scheduled',
+    enum: ['Scheduled', 'Active', 'Completed', 'Cancelled']
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 });
 
 // Delivery Personnel Schema
@@ -187,6 +256,12 @@ const DeliveryRouteSchema = new Schema({
     default: 'Distance',
     enum: ['Distance', 'Time', 'Custom']
   },
+  depot: { // Where the deliverer starts, e.g. the distribution point
+    latitude: { type: Number },
+    longitude: { type: Number }
+  },
+  estimatedDistanceKm: { type: Number }, // Straight-line estimate from the last optimisation
+  optimizedAt: { type: Date },
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now }
 });
@@ -248,32 +323,67 @@ const BillSchema = new Schema({
   status: { 
     type: String, 
     default: 'Unpaid', 
-    enum: ['Unpaid', 'Partially Paid', 'Paid', 'Overdue'] 
+    enum: ['Draft', 'Unpaid', 'Partially Paid', 'Paid', 'Overdue', 'Carried Forward'] 
   },
   areaId: { type: Schema.Types.ObjectId, ref: 'Area' },
-  billNumber: { type: String, required: true, unique: true },
+  billNumber: { type: String, unique: true, sparse: true }, // Assigned when the bill is finalised
+  finalizedAt: { type: Date },
+  openingBalance: { type: Number, default: 0 }, // Brought forward from earlier bills; negative is a credit
   outstandingAmount: { type: Number, default: 0 },
+  creditBalance: { type: Number, default: 0 }, // Overpayment held towards the next bill
+  carriedForwardTo: { type: Schema.Types.ObjectId, ref: 'Bill' },
+  carriedForwardAmount: { type: Number },
+  adjustmentTotal: { type: Number, default: 0 }, // Approved debit adjustments less credit notes
+  lateFeeAppliedAt: { type: Date },
+  flaggedForCollection: { type: Boolean, default: false },
+  flagReason: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// One bill per customer, area and month
+BillSchema.index({ userId: 1, areaId: 1, billMonth: 1, billYear: 1 }, { unique: true });
+
+// Last bill number issued per area and year, so numbers run without gaps
+const BillSequenceSchema = new Schema({
+  areaId: { type: Schema.Types.ObjectId, ref: 'Area', required: true },
+  year: { type: Number, required: true },
+  lastNumber: { type: Number, default: 0 }
+});
+
+BillSequenceSchema.index({ areaId: 1, year: 1 }, { unique: true });
+
 // Bill Items Schema
 const BillItemSchema = new Schema({
   billId: { type: Schema.Types.ObjectId, ref: 'Bill', required: true },
-  publicationId: { type: Schema.Types.ObjectId, ref: 'Publication', required: true },
+  itemType: { type: String, enum: ['Subscription', 'Late Fee'], default: 'Subscription' },
+  description: { type: String },
+  publicationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Publication',
+    required: function () { return this.itemType === 'Subscription'; }
+  },
   quantity: { type: Number, required: true },
   unitPrice: { type: Number, required: true },
   totalPrice: { type: Number, required: true },
+  issuesBilled: { type: Number },
+  pausedIssues: { type: Number, default: 0 }, // Issues not charged because the subscription was paused
+  failedIssues: { type: Number, default: 0 }, // Issues not charged because delivery failed
   deliveryPeriod: {
-    from: { type: Date, required: true },
-    to: { type: Date, required: true }
+    from: { type: Date, required: function () { return this.itemType === 'Subscription'; } },
+    to: { type: Date, required: function () { return this.itemType === 'Subscription'; } }
   },
   createdAt: { type: Date, default: Date.now }
 });
 
 // Payment Schema
 const PaymentSchema = new Schema({
-  billId: { type: Schema.Types.ObjectId, ref: 'Bill', required: true },
+  purpose: { type: String, enum: ['Bill', 'Wallet Top-up'], default: 'Bill' },
+  billId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: function () { return this.purpose !== 'Wallet Top-up'; }
+  },
   userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   paymentDate: { type: Date, required: true },
   amount: { type: Number, required: true },
@@ -290,10 +400,114 @@ const PaymentSchema = new Schema({
     enum: ['Pending', 'Completed', 'Failed', 'Refunded'] 
   },
   receiptNumber: { type: String, unique: true },
+  refundedAmount: { type: Number, default: 0 },
+  provider: { type: String }, // Gateway handling an Online/UPI/Card payment
+  checkoutReference: { type: String, unique: true, sparse: true },
+  providerPaymentId: { type: String },
+  expiresAt: { type: Date }, // When the gateway checkout lapses; Pending payments fail after it
+  confirmedAt: { type: Date },
+  failureReason: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+PaymentSchema.index({ status: 1, expiresAt: 1 });
+
+// Credit notes and debit adjustments against a bill; only approved ones change the balance
+const BillAdjustmentSchema = new Schema({
+  billId: { type: Schema.Types.ObjectId, ref: 'Bill', required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  areaId: { type: Schema.Types.ObjectId, ref: 'Area', required: true },
+  type: { type: String, required: true, enum: ['Credit Note', 'Debit Adjustment'] },
+  amount: { type: Number, required: true, min: 0.01 },
+  reason: { type: String, required: true },
+  status: {
+    type: String,
+    default: 'Pending',
+    enum: ['Pending', 'Approved', 'Rejected']
+  },
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNotes: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Named counters for numbering that must never repeat, such as receipt numbers
+const CounterSchema = new Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Stored outcome of a request made with an Idempotency-Key header, replayed for retries
+const IdempotencyKeySchema = new Schema({
+  key: { type: String, required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['InProgress', 'Completed'], default: 'InProgress' },
+  responseStatus: { type: Number },
+  responseBody: { type: Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Double-entry ledger. Every financial event is one transaction of two or more entries
+// whose debits and credits balance. Customer balances come from the Receivable (owed on a
+// bill) and Customer Credit (held for the customer) accounts.
+const LedgerEntrySchema = new Schema({
+  transactionId: { type: Schema.Types.ObjectId, required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  areaId: { type: Schema.Types.ObjectId, ref: 'Area' },
+  account: {
+    type: String,
+    required: true,
+    enum: ['Receivable', 'Customer Credit', 'Wallet', 'Revenue', 'Late Fee Income', 'Adjustments', 'Cash', 'Opening Balances', 'Forfeited Balances']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['Opening Balance', 'Charge', 'Late Fee', 'Payment', 'Credit Note', 'Debit Adjustment', 'Refund', 'Balance Transfer', 'Credit Applied', 'Wallet Top-up', 'Wallet Payment', 'Balance Forfeited']
+  },
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+  billId: { type: Schema.Types.ObjectId, ref: 'Bill' },
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' },
+  refundId: { type: Schema.Types.ObjectId, ref: 'Refund' },
+  adjustmentId: { type: Schema.Types.ObjectId, ref: 'BillAdjustment' },
+  description: { type: String },
+  date: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+LedgerEntrySchema.index({ userId: 1, date: 1 });
+LedgerEntrySchema.index({ billId: 1, account: 1 });
+
+// Money returned to a customer against a payment
+const RefundSchema = new Schema({
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment', required: true },
+  purpose: { type: String, enum: ['Bill', 'Wallet Top-up'], default: 'Bill' }, // As on the payment
+  billId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: function () { return this.purpose !== 'Wallet Top-up'; }
+  },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  reason: { type: String, required: true },
+  refundMethod: {
+    type: String,
+    enum: ['Cash', 'Cheque', 'Online', 'UPI', 'Card']
+  },
+  referenceNumber: { type: String },
+  processedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
 // Payment Reminder Schema
 const PaymentReminderSchema = new Schema({
   billId: { type: Schema.Types.ObjectId, ref: 'Bill', required: true },
@@ -376,7 +590,7 @@ const CustomerActivitySchema = new Schema({
   userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   activityType: {
     type: String,
-    enum: ['New Subscription', 'Cancellation', 'Modification', 'Pause Request', 'Payment', 'Address Update'],
+    enum: ['New Subscription', 'Cancellation', 'Modification', 'Pause Request', 'Payment', 'Address Update', 'Data Export', 'Account Closure'],
     required: true
   },
   details: { type: String },
@@ -386,12 +600,120 @@ const CustomerActivitySchema = new Schema({
 // System Log Schema
 const SystemLogSchema = new Schema({
   userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  sessionId: { type: Schema.Types.ObjectId, ref: 'AuthSession' },
   actionType: { type: String, required: true },
   actionDetails: { type: String },
   ipAddress: { type: String },
   timestamp: { type: Date, default: Date.now }
 });
 
+// Auth Session Schema - One row per login, holds the current refresh token
+const AuthSessionSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  previousRefreshTokenHashes: [{ type: String }], // Rotated-out tokens, to recognise reuse
+  expiresAt: { type: Date, required: true },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  lastSeenAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Auth Token Schema - Single-use, expiring tokens sent out by email
+const AuthTokenSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['PasswordReset', 'EmailVerification', 'Invitation']
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Mail Outbox Schema - Every outgoing message, delivered through a mail transport
+const MailOutboxSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+  template: { type: String },
+  status: {
+    type: String,
+    default: 'Pending',
+    enum: ['Pending', 'Sent', 'Failed']
+  },
+  transport: { type: String },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Permission Grant Schema - Extra permissions a user holds within one area
+const PermissionGrantSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  areaId: { type: Schema.Types.ObjectId, ref: 'Area', required: true },
+  permissions: [{ type: String, required: true }],
+  grantedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+PermissionGrantSchema.index({ userId: 1, areaId: 1 }, { unique: true });
+
+// API Key Schema - Credentials for machine-to-machine access to one area
+const ApiKeySchema = new Schema({
+  name: { type: String, required: true },
+  prefix: { type: String, required: true, unique: true },
+  keyHash: { type: String, required: true },
+  areaId: { type: Schema.Types.ObjectId, ref: 'Area', required: true },
+  permissions: [{ type: String, required: true }],
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String },
+  revokedAt: { type: Date },
+  revokedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Schedule Run Schema - One automatic (or manually triggered) generation of an area's
+// delivery schedules for a day, kept as a log for managers
+const ScheduleRunSchema = new Schema({
+  areaId: { type: Schema.Types.ObjectId, ref: 'Area', required: true },
+  deliveryDate: { type: Date, required: true },
+  status: {
+    type: String,
+    default: 'Running',
+    enum: ['Running', 'Succeeded', 'Failed', 'Skipped']
+  },
+  trigger: { type: String, default: 'Automatic', enum: ['Automatic', 'Manual'] },
+  triggeredBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  skipReason: { type: String },
+  attempts: { type: Number, default: 0 },
+  routes: [{
+    routeId: { type: Schema.Types.ObjectId, ref: 'DeliveryRoute' },
+    scheduleId: { type: Schema.Types.ObjectId, ref: 'DeliverySchedule' },
+    status: { type: String, enum: ['Created', 'Existing', 'No Deliveries', 'Failed'] },
+    itemCount: { type: Number, default: 0 },
+    unscheduledItemCount: { type: Number, default: 0 }, // Due but left out: the schedule already existed
+    error: { type: String }
+  }],
+  unroutedItemCount: { type: Number, default: 0 }, // Items for addresses on no route
+  unscheduledItemCount: { type: Number, default: 0 }, // Due items not on any schedule after the run
+  lastError: { type: String },
+  nextRetryAt: { type: Date },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+ScheduleRunSchema.index({ areaId: 1, deliveryDate: 1 }, { unique: true });
+
 // Create models from schemas
 const User = mongoose.model('User', UserSchema);
 const Area = mongoose.model('Area', AreaSchema);
@@ -414,6 +736,24 @@ const DelivererPaymentDetail = mongoose.model('DelivererPaymentDetail', Delivere
 const DeliverySummaryReport = mongoose.model('DeliverySummaryReport', DeliverySummaryReportSchema);
 const CustomerActivity = mongoose.model('CustomerActivity', CustomerActivitySchema);
 const SystemLog = mongoose.model('SystemLog', SystemLogSchema);
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+const AuthToken = mongoose.model('AuthToken', AuthTokenSchema);
+const MailOutbox = mongoose.model('MailOutbox', MailOutboxSchema);
+const PermissionGrant = mongoose.model('PermissionGrant', PermissionGrantSchema);
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+const BillSequence = mongoose.model('BillSequence', BillSequenceSchema);
+const BillAdjustment = mongoose.model('BillAdjustment', BillAdjustmentSchema);
+const Refund = mongoose.model('Refund', RefundSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', LedgerEntrySchema);
+const Counter = mongoose.model('Counter', CounterSchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+const PostalCodeCentroid = mongoose.model('PostalCodeCentroid', PostalCodeCentroidSchema);
+const ScheduleRun = mongoose.model('ScheduleRun', ScheduleRunSchema);
+
+// The unique bill index cannot be built over duplicate bills from older bill runs
+Bill.on('index', error => {
+  if (error) console.error('Bill indexes not built, run `npm run dedupe-bills`:', error.message);
+});
 
 // Export all models
 module.exports = {
@@ -437,5 +777,18 @@ SubscriptionChangeRequest,
   DelivererPaymentDetail,
   DeliverySummaryReport,
   CustomerActivity,
-  SystemLog
+  SystemLog,
+  AuthSession,
+  AuthToken,
+  MailOutbox,
+  PermissionGrant,
+  ApiKey,
+  BillSequence,
+  BillAdjustment,
+  Refund,
+  LedgerEntry,
+  Counter,
+  IdempotencyKey,
+  PostalCodeCentroid,
+  ScheduleRun
 };
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const { authorizeRole } = require('../middleware/auth');
+
+router.use(authorizeRole(['Admin']));
+
+router.get('/users', adminController.getUsers);
+router.post('/users', adminController.createUser);
+router.get('/users/:id', adminController.getUser);
+router.put('/users/:id', adminController.updateUser);
+router.delete('/users/:id', adminController.deactivateUser);
+router.put('/users/:id/role', adminController.changeUserRole);
+router.put('/users/:id/deactivate', adminController.deactivateUser);
+router.put('/users/:id/activate', adminController.activateUser);
+router.get('/areas', adminController.getAreas);
+router.post('/areas', adminController.createArea);
+router.put('/areas/:id', adminController.updateArea);
+router.put('/areas/:id/deactivate', adminController.deactivateArea);
+router.post('/areas/:id/merge', adminController.mergeArea);
+router.post('/areas/:id/managers', adminController.assignManager);
+router.delete('/areas/:id/managers/:userId', adminController.removeManager);
+router.post('/managers/:id/reassign-areas', adminController.reassignManagerAreas);
+
+module.exports = router;
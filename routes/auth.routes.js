@@ -1,15 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateTokenOrSetupChallenge, rejectApiKeys } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT) || 20
+});
+const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT) || 10
+});
 
 // Public routes
-router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/register', registerLimiter, authController.register);
+router.post('/login', loginLimiter, authController.login);
 router.post('/logout', authController.logout);
+router.post('/refresh', authController.refresh);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/accept-invite', authController.acceptInvite);
+router.post('/2fa/verify', loginLimiter, authController.verifyTwoFactor);
+
+// Protected routes, for signed-in users only (not API keys)
+const requireUser = [authenticateToken, rejectApiKeys];
 
-// Protected routes
-router.get('/me', authenticateToken, authController.getCurrentUser);
-router.put('/change-password', authenticateToken, authController.changePassword);
+router.get('/me', requireUser, authController.getCurrentUser);
+router.put('/change-password', requireUser, authController.changePassword);
+router.get('/sessions', requireUser, authController.getSessions);
+router.delete('/sessions', requireUser, authController.revokeOtherSessions);
+router.delete('/sessions/:id', requireUser, authController.revokeSession);
+router.post('/resend-verification', requireUser, authController.resendVerification);
+router.post('/2fa/setup', authenticateTokenOrSetupChallenge, rejectApiKeys, authController.setupTwoFactor);
+router.post('/2fa/enable', authenticateTokenOrSetupChallenge, rejectApiKeys, authController.enableTwoFactor);
+router.post('/2fa/disable', requireUser, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', requireUser, authController.regenerateBackupCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const customerController = require('../controllers/customer.controller');
 const { authorizeRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 router.use(authorizeRole(['Customer']));
 
@@ -12,12 +13,23 @@ router.post('/subscriptions', customerController.createSubscription);
 router.put('/subscriptions/:id', customerController.updateSubscription);
 router.delete('/subscriptions/:id', customerController.cancelSubscription);
 router.post('/pause', customerController.requestPause);
+router.get('/pauses', customerController.getPauses);
+router.put('/pauses/:id', customerController.updatePause);
+router.delete('/pauses/:id', customerController.cancelPause);
 router.get('/bills', customerController.getBills);
 router.get('/bills/:id', customerController.getBillDetails);
-router.post('/payments', customerController.makePayment);
+router.post('/payments', idempotent(), customerController.makePayment);
+router.get('/payments/:id', customerController.getPayment);
 router.get('/payment-history', customerController.getPaymentHistory);
+router.get('/statement', customerController.getStatement);
+router.get('/wallet', customerController.getWallet);
+router.post('/wallet/top-up', idempotent(), customerController.topUpWallet);
+router.put('/wallet/settings', customerController.updateWalletSettings);
+router.post('/wallet/pay', idempotent(), customerController.payFromWallet);
 router.post('/addresses', customerController.addAddress);
 router.put('/addresses/:id', customerController.updateAddress);
 router.get('/delivery-status', customerController.getDeliveryStatus);
+router.get('/export', customerController.exportData);
+router.post('/account/close', customerController.closeAccount);
 
 module.exports = router;
\ No newline at end of file
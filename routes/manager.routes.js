@@ -2,31 +2,65 @@ const express = require('express');
 const router = express.Router();
 const managerController = require('../controllers/manager.controller');
 const { authorizeRole,authenticateToken } = require('../middleware/auth');
+const { authorizePermission } = require('../middleware/permissions');
+const { idempotent } = require('../middleware/idempotency');
 
-router.use(authenticateToken,authorizeRole(['Manager']));
+// Managers hold every permission in the areas they manage; Staff and API keys only what they are granted
+router.use(authenticateToken,authorizeRole(['Manager', 'Staff', 'ApiClient']));
 
-router.get('/areas', managerController.getAreas);
-router.post('/routes', managerController.createRoute);
-router.get('/customers', managerController.getCustomers);
-router.get('/deliverers', managerController.getDeliverers);
-router.post('/deliverers', managerController.addDeliverer);
-router.get('/publications', managerController.getPublications);
-router.post('/publications', managerController.addPublication);
-router.put('/publications/:id', managerController.updatePublication);
-router.get('/subscription-requests', managerController.getSubscriptionRequests);
-router.put('/subscription-requests/:id', managerController.handleSubscriptionRequest);
-router.get('/schedules', managerController.getSchedules);
-router.post('/schedules', managerController.createSchedule);
-router.get('/bills', managerController.getBills);
-router.post('/bills/generate', managerController.generateBills);
-router.get('/payments', managerController.getPayments);
-router.post('/payment-reminders', managerController.sendPaymentReminders);
-router.get('/reports/delivery', managerController.generateDeliveryReport);
-router.get('/reports/financial', managerController.generateFinancialReport);
-router.post('/deliverer-payments', managerController.processDelivererPayments);
+router.get('/areas', authorizePermission('areas:read'), managerController.getAreas);
+router.put('/areas/:areaId/billing', authorizePermission('billing:write'), managerController.updateAreaBilling);
+router.put('/areas/:areaId/scheduling', authorizePermission('schedules:manage'), managerController.updateAreaScheduling);
+router.post('/routes', authorizePermission('routes:manage'), managerController.createRoute);
+router.post('/routes/:id/optimize', authorizePermission('routes:manage'), managerController.optimizeRoute);
+router.get('/customers', authorizePermission('customers:read'), managerController.getCustomers);
+router.get('/addresses/review', authorizePermission('addresses:manage'), managerController.getAddressesForReview);
+router.put('/addresses/:id/assign-area', authorizePermission('addresses:manage'), managerController.assignAddressArea);
+router.get('/deliverers', authorizePermission('deliverers:manage'), managerController.getDeliverers);
+router.post('/deliverers', authorizePermission('deliverers:manage'), managerController.addDeliverer);
+router.post('/deliverers/:userId/resend-invite', authorizePermission('deliverers:manage'), managerController.resendInvitation);
+router.put('/users/:id/unlock', authorizePermission('users:manage'), managerController.unlockUser);
+router.get('/publications', authorizePermission('publications:manage'), managerController.getPublications);
+router.post('/publications', authorizePermission('publications:manage'), managerController.addPublication);
+router.put('/publications/:id', authorizePermission('publications:manage'), managerController.updatePublication);
+router.get('/publications/:id/issues', authorizePermission('publications:manage'), managerController.getPublicationIssues);
+router.get('/subscription-requests', authorizePermission('subscriptions:manage'), managerController.getSubscriptionRequests);
+router.put('/subscription-requests/:id', authorizePermission('subscriptions:manage'), managerController.handleSubscriptionRequest);
+router.get('/schedules', authorizePermission('schedules:manage'), managerController.getSchedules);
+router.post('/schedules', authorizePermission('schedules:manage'), managerController.createSchedule);
+router.get('/schedule-runs', authorizePermission('schedules:manage'), managerController.getScheduleRuns);
+router.post('/schedule-runs', authorizePermission('schedules:manage'), managerController.runScheduleGeneration);
+router.get('/bills', authorizePermission('billing:read'), managerController.getBills);
+router.post('/bills/generate', authorizePermission('billing:write'), idempotent(), managerController.generateBills);
+router.post('/bills/finalize', authorizePermission('billing:write'), idempotent(), managerController.finalizeBills);
+router.post('/bills/apply-policies', authorizePermission('billing:write'), managerController.applyBillingPolicies);
+router.post('/bills/:id/regenerate', authorizePermission('billing:write'), managerController.regenerateBill);
+router.post('/bills/:id/adjustments', authorizePermission('billing:write'), managerController.createBillAdjustment);
+router.get('/adjustments', authorizePermission('billing:read'), managerController.getBillAdjustments);
+router.put('/adjustments/:id/review', authorizePermission('billing:approve'), managerController.reviewBillAdjustment);
+router.get('/payments', authorizePermission('billing:read'), managerController.getPayments);
+router.post('/payments/:id/refunds', authorizePermission('billing:approve'), idempotent(), managerController.refundPayment);
+router.post('/payment-reminders', authorizePermission('billing:write'), managerController.sendPaymentReminders);
+router.get('/reports/delivery', authorizePermission('reports:read'), managerController.generateDeliveryReport);
+router.get('/reports/financial', authorizePermission('reports:read'), managerController.generateFinancialReport);
+router.post('/deliverer-payments', authorizePermission('payouts:write'), idempotent(), managerController.processDelivererPayments);
+router.get('/permissions', authorizePermission('permissions:manage'), managerController.getPermissionGrants);
+router.put('/permissions', authorizePermission('permissions:manage'), managerController.setPermissionGrant);
+router.delete('/permissions/:id', authorizePermission('permissions:manage'), managerController.revokePermissionGrant);
+router.get('/api-keys', authorizePermission('api-keys:manage'), managerController.getApiKeys);
+router.post('/api-keys', authorizePermission('api-keys:manage'), managerController.createApiKey);
+router.delete('/api-keys/:id', authorizePermission('api-keys:manage'), managerController.revokeApiKey);
+router.get('/print-orders', authorizePermission('print-orders:read'), managerController.getPrintOrders);
 // In manager routes
-router.get('/personnel/:userId', managerController.getPersonnelIdByUserId);
-router.get('/routes', managerController.getRoutes);
+router.get('/personnel/:userId', authorizePermission('deliverers:manage'), managerController.getPersonnelIdByUserId);
+router.get('/routes', authorizePermission('routes:manage'), managerController.getRoutes);
+router.put('/routes/:id', authorizePermission('routes:manage'), managerController.updateRoute);
+router.put('/routes/:id/status', authorizePermission('routes:manage'), managerController.setRouteStatus);
+router.post('/routes/:id/clone', authorizePermission('routes:manage'), managerController.cloneRoute);
+router.post('/routes/:id/stops', authorizePermission('routes:manage'), managerController.addRouteStop);
+router.put('/routes/:id/stops/order', authorizePermission('routes:manage'), managerController.reorderRouteStops);
+router.put('/routes/:id/stops/:stopId', authorizePermission('routes:manage'), managerController.moveRouteStop);
+router.delete('/routes/:id/stops/:stopId', authorizePermission('routes:manage'), managerController.removeRouteStop);
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/payment.controller');
+
+// Mounted ahead of the JSON body parser: webhooks need the raw body to verify signatures
+router.post('/webhook/:provider', express.raw({ type: '*/*', limit: '1mb' }), paymentController.handleWebhook);
+
+// The fake provider's checkout, for development and tests only. It exists only when the
+// fake provider is chosen explicitly, and the app refuses to start without its secret.
+if (process.env.PAYMENT_PROVIDER === 'fake') {
+  require('../services/payment-providers/fake.provider').getSecret();
+  router.post('/fake/:reference', express.json(), paymentController.completeFakeCheckout);
+}
+
+module.exports = router;
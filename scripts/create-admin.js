@@ -0,0 +1,54 @@
+// Creates the first Admin account, since admins can only be created by another admin.
+// Usage: node scripts/create-admin.js <username> <email> <password> [firstName] [lastName]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { User, SystemLog } = require('../models');
+
+const [username, email, password, firstName = 'Agency', lastName = 'Admin'] = process.argv.slice(2);
+
+const run = async () => {
+  if (!username || !email || !password) {
+    console.error('Usage: node scripts/create-admin.js <username> <email> <password> [firstName] [lastName]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+    if (existingUser) {
+      console.error('User already exists with this email or username');
+      process.exitCode = 1;
+      return;
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const user = await User.create({
+      username,
+      email,
+      password: await bcrypt.hash(password, salt),
+      firstName,
+      lastName,
+      role: 'Admin',
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    await SystemLog.create({
+      userId: user._id,
+      actionType: 'ADMIN_USER_CREATED',
+      actionDetails: 'Admin created from command line'
+    });
+
+    console.log(`Admin ${username} created with id ${user._id}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(err => {
+  console.error('Create admin error:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,132 @@
+// Removes duplicate bills (same customer, area and month) left by earlier bill runs, then
+// builds the unique index that keeps bill generation idempotent. For each duplicate set the
+// bill with the most paid against it is kept; payments, refunds, reminders and adjustments
+// on the others are moved onto it and its balance is worked out again. Sets where a bill
+// other than the kept one has ledger entries are reported for manual resolution, and the
+// index is not built until they are resolved.
+// Usage: node scripts/dedupe-bills.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  Bill,
+  BillItem,
+  BillAdjustment,
+  Payment,
+  PaymentReminder,
+  Refund,
+  LedgerEntry
+} = require('../models');
+const billingService = require('../services/billing.service');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Completed payments less refunds, per bill
+const paidAgainst = async (billIds) => {
+  const payments = await Payment.find({ billId: { $in: billIds }, status: { $in: ['Completed', 'Refunded'] } }).lean();
+  const paid = new Map(billIds.map(id => [id.toString(), 0]));
+  payments.forEach(payment => {
+    const key = payment.billId.toString();
+    paid.set(key, paid.get(key) + payment.amount - (payment.refundedAmount || 0));
+  });
+  return paid;
+};
+
+const dedupeSet = async (bills) => {
+  const ids = bills.map(bill => bill._id);
+  const paid = await paidAgainst(ids);
+
+  // Most paid first, then finalised before draft, then oldest
+  const [keep, ...duplicates] = [...bills].sort((a, b) =>
+    paid.get(b._id.toString()) - paid.get(a._id.toString()) ||
+    (a.status === 'Draft') - (b.status === 'Draft') ||
+    a.createdAt - b.createdAt);
+  const duplicateIds = duplicates.map(bill => bill._id);
+
+  if (await LedgerEntry.exists({ billId: { $in: duplicateIds } })) {
+    return { status: 'manual', keep: keep._id, duplicates: duplicateIds };
+  }
+  if (dryRun) {
+    return { status: 'planned', keep: keep._id, duplicates: duplicateIds };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    for (const Model of [Payment, Refund, PaymentReminder, BillAdjustment]) {
+      await Model.updateMany({ billId: { $in: duplicateIds } }, { billId: keep._id }, { session });
+    }
+    await BillItem.deleteMany({ billId: { $in: duplicateIds } }, { session });
+    await Bill.deleteMany({ _id: { $in: duplicateIds } }, { session });
+
+    const keptBill = await Bill.findById(keep._id).session(session);
+    if (keptBill.status !== 'Draft' && !(await LedgerEntry.exists({ billId: keep._id }).session(session))) {
+      // Bills from before the ledger carry their balance on the bill itself
+      const totalPaid = [...paid.values()].reduce((sum, amount) => sum + amount, 0);
+      const amountDue = keptBill.totalAmount + (keptBill.openingBalance || 0) + (keptBill.adjustmentTotal || 0);
+      keptBill.outstandingAmount = billingService.roundMoney(Math.max(0, amountDue - totalPaid));
+      keptBill.creditBalance = billingService.roundMoney(Math.max(0, totalPaid - amountDue));
+      keptBill.status = billingService.billStatus(keptBill);
+      keptBill.updatedAt = new Date();
+      await keptBill.save({ session });
+    } else {
+      await billingService.recalculateBill(keep._id, session);
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+  return { status: 'deduped', keep: keep._id, duplicates: duplicateIds };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const sets = await Bill.aggregate([
+      {
+        $group: {
+          _id: { userId: '$userId', areaId: '$areaId', billMonth: '$billMonth', billYear: '$billYear' },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const manual = [];
+    let deduped = 0;
+    for (const set of sets) {
+      const bills = await Bill.find({ _id: { $in: set.ids } });
+      const result = await dedupeSet(bills);
+      if (result.status === 'manual') {
+        manual.push(result);
+      } else {
+        deduped++;
+      }
+      console.log(`${result.status}: keep ${result.keep}, remove ${result.duplicates.join(', ')}`);
+    }
+
+    console.log(`${sets.length} duplicate sets found, ${deduped} ${dryRun ? 'to dedupe' : 'deduped'}, ${manual.length} need manual resolution`);
+
+    if (dryRun) return;
+    if (manual.length > 0) {
+      console.error('Unique bill index not built: resolve the sets above and run again');
+      process.exitCode = 1;
+      return;
+    }
+
+    await Bill.createIndexes();
+    console.log('Bill indexes built');
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(err => {
+  console.error('Dedupe bills error:', err);
+  process.exitCode = 1;
+});
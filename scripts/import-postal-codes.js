@@ -0,0 +1,95 @@
+// Loads postal code centroids for offline geocoding from a CSV file with a header row.
+// Required columns: postalCode, latitude, longitude. Optional: city, state.
+// The file is read line by line and written in batches, so large tables fit in memory.
+// Usage: node scripts/import-postal-codes.js <file.csv>
+require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const geocodingService = require('../services/geocoding.service');
+
+const [file] = process.argv.slice(2);
+const BATCH_SIZE = 1000;
+
+// Split one CSV line, honouring double-quoted fields
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+const run = async () => {
+  if (!file) {
+    console.error('Usage: node scripts/import-postal-codes.js <file.csv>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+  let header = null;
+  let batch = [];
+  const totals = { imported: 0, skipped: 0 };
+
+  const flush = async () => {
+    const result = await geocodingService.importCentroids(batch);
+    totals.imported += result.imported;
+    totals.skipped += result.skipped;
+    batch = [];
+  };
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      if (!header) {
+        header = parseLine(line);
+        const missing = ['postalCode', 'latitude', 'longitude'].find(column => !header.includes(column));
+        if (missing) {
+          console.error(`Missing required column: ${missing}`);
+          process.exitCode = 1;
+          return;
+        }
+        continue;
+      }
+
+      const values = parseLine(line);
+      batch.push(Object.fromEntries(header.map((column, index) => [column, values[index]])));
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    console.log(`Imported ${totals.imported} postal codes, skipped ${totals.skipped} invalid rows`);
+  } finally {
+    lines.close();
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Import failed:', error);
+  process.exitCode = 1;
+});
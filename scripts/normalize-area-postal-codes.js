@@ -0,0 +1,34 @@
+// Rewrites area postal codes in the normalised form (upper case, no spaces) that address
+// matching looks them up by. Areas saved since codes were normalised need no change; run
+// this once for areas created before.
+// Usage: node scripts/normalize-area-postal-codes.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Area } = require('../models');
+const geocodingService = require('../services/geocoding.service');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const areas = await Area.find({ 'postalCodes.0': { $exists: true } }).select('name postalCodes').lean();
+
+    let updated = 0;
+    for (const area of areas) {
+      const normalized = [...new Set(area.postalCodes.map(geocodingService.normalizePostalCode).filter(Boolean))];
+      if (normalized.join(',') === area.postalCodes.join(',')) continue;
+
+      await Area.updateOne({ _id: area._id }, { postalCodes: normalized });
+      updated++;
+    }
+
+    console.log(`${areas.length} areas with postal codes checked, ${updated} updated`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(err => {
+  console.error('Normalize postal codes error:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+
+// Keys look like "ndk_<prefix>_<secret>". The prefix is stored in clear to find
+// the key; only a hash of the full key is kept.
+const KEY_PATTERN = /^ndk_([a-f\d]{12})_([a-f\d]{48})$/;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+exports.isApiKey = (value) => typeof value === 'string' && value.startsWith('ndk_');
+
+exports.createKey = async ({ name, areaId, permissions, createdBy, expiresAt }) => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `ndk_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    areaId,
+    permissions,
+    createdBy,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+// Resolve a presented key to its active ApiKey record, or null
+exports.verifyKey = async (key, ipAddress) => {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] });
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ipAddress });
+  }
+
+  return apiKey;
+};
+
+module.exports = exports;
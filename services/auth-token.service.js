@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { AuthToken } = require('../models');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new single-use token, invalidating any unused one for the same purpose
+exports.createToken = async (userId, purpose, ttlMs) => {
+  await AuthToken.updateMany(
+    { userId, purpose, usedAt: { $exists: false } },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+exports.consumeToken = async (token, purpose) => {
+  if (!token) return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = exports;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { Area, Bill, BillItem } = require('../models');
+const { parseDay } = require('./publication-calendar.service');
+const billingService = require('./billing.service');
+const ledgerService = require('./ledger.service');
+
+const { roundMoney } = billingService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Amount a percentage late fee is charged on: the bill's own charges and adjustments that
+// are still unpaid, leaving out balances brought forward from earlier bills (which were
+// charged their own late fee)
+const lateFeeBase = (bill) => roundMoney(Math.max(0,
+  Math.min(bill.totalAmount + (bill.adjustmentTotal || 0), bill.outstandingAmount)));
+
+// Late fee for a bill under the area's policy, 0 when the area charges none
+const lateFeeFor = (bill, policy) => {
+  if (!policy || !policy.type || policy.type === 'None' || !(policy.amount > 0)) return 0;
+  if (policy.type === 'Percent') return roundMoney(lateFeeBase(bill) * policy.amount / 100);
+  return roundMoney(policy.amount);
+};
+
+// Charge the late fee on one bill. The bill is claimed so overlapping runs charge the fee
+// once, and the claim, the item and the ledger charge are written together so a crash
+// part-way leaves no trace. Returns the fee charged, 0 when there was nothing to charge.
+const chargeLateFee = async (bill, policy) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Still unpaid and not yet charged; the fee is worked out from the bill as claimed
+    const claimed = await Bill.findOneAndUpdate(
+      { _id: bill._id, lateFeeAppliedAt: null, outstandingAmount: { $gt: 0 } },
+      { lateFeeAppliedAt: new Date() },
+      { new: true, session }
+    );
+    const fee = claimed ? lateFeeFor(claimed, policy) : 0;
+    if (fee <= 0) {
+      await session.abortTransaction();
+      return 0;
+    }
+
+    const description = policy.type === 'Percent'
+      ? `Late fee (${policy.amount}% of ${lateFeeBase(claimed)})`
+      : 'Late fee';
+
+    await BillItem.create([{
+      billId: bill._id,
+      itemType: 'Late Fee',
+      description,
+      quantity: 1,
+      unitPrice: fee,
+      totalPrice: fee
+    }], { session });
+    await ledgerService.recordCharge(claimed, fee, { type: 'Late Fee', description }, session);
+    await billingService.recalculateBill(bill._id, session);
+
+    await session.commitTransaction();
+    return fee;
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Mark unpaid bills past their due date as Overdue and, once the area's grace period
+// has passed, add its late fee to the bill as a separate item (once per bill). A bill
+// that cannot be processed is logged and reported in `failed`; the rest still are.
+exports.applyPolicies = async ({ areaIds, now = new Date() } = {}) => {
+  const today = parseDay(now);
+  const query = {
+    status: { $in: ['Unpaid', 'Partially Paid', 'Overdue'] },
+    outstandingAmount: { $gt: 0 },
+    dueDate: { $lt: today }
+  };
+  if (areaIds) query.areaId = { $in: areaIds };
+
+  const bills = await Bill.find(query);
+  const areas = await Area.find({ _id: { $in: [...new Set(bills.map(bill => bill.areaId.toString()))] } })
+    .select('billing')
+    .lean();
+  const policyByArea = new Map(areas.map(area => [area._id.toString(), area.billing && area.billing.lateFee]));
+
+  const result = { overdue: 0, lateFees: 0, lateFeeTotal: 0, failed: [] };
+
+  for (const bill of bills) {
+    try {
+      // Conditional, so a bill paid since it was read is not set back to Overdue
+      if (bill.status !== 'Overdue') {
+        const flipped = await Bill.updateOne(
+          { _id: bill._id, status: { $in: ['Unpaid', 'Partially Paid'] }, outstandingAmount: { $gt: 0 } },
+          { status: 'Overdue', updatedAt: new Date() }
+        );
+        result.overdue += flipped.modifiedCount;
+      }
+
+      const policy = policyByArea.get(bill.areaId.toString());
+      const graceEnds = new Date(parseDay(bill.dueDate).getTime() + ((policy && policy.graceDays) || 0) * DAY_MS);
+      if (bill.lateFeeAppliedAt || lateFeeFor(bill, policy) <= 0 || today <= graceEnds) continue;
+
+      const fee = await chargeLateFee(bill, policy);
+      if (fee > 0) {
+        result.lateFees++;
+        result.lateFeeTotal = roundMoney(result.lateFeeTotal + fee);
+      }
+    } catch (error) {
+      console.error(`Billing policy error for bill ${bill._id}:`, error);
+      result.failed.push({ billId: bill._id, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// Run applyPolicies now and then periodically (hourly by default)
+exports.startBillingPolicies = (intervalMs = 60 * 60 * 1000) => {
+  const run = () => exports.applyPolicies()
+    .then(result => {
+      if (result.overdue || result.lateFees || result.failed.length) {
+        console.log('Billing policies:', result);
+      }
+    })
+    .catch(err => console.error('Billing policy error:', err));
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+module.exports = exports;
@@ -0,0 +1,409 @@
+const {
+  Area,
+  Bill,
+  BillItem,
+  BillSequence,
+  BillAdjustment,
+  DeliverySchedule,
+  DeliveryItem,
+  Subscription,
+  LedgerEntry
+} = require('../models');
+const publicationCalendar = require('./publication-calendar.service');
+const pauseService = require('./pause.service');
+const ledgerService = require('./ledger.service');
+const walletService = require('./wallet.service');
+
+// How an area's bills are worked out:
+//   Issues     - every issue published while the subscription was running, less paused
+//                days and deliveries that failed
+//   Deliveries - only copies recorded as Delivered on a schedule
+const BILLING_MODES = ['Issues', 'Deliveries'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const dayKey = (date) => publicationCalendar.parseDay(date).toDateString();
+
+// The part of the month the subscription was running. A subscription's end date is the
+// day it stopped (the cancellation's effective date), so service runs up to the day before.
+const servicePeriod = (subscription, monthStart, monthEnd) => {
+  const from = new Date(Math.max(monthStart, publicationCalendar.parseDay(subscription.startDate)));
+  let to = monthEnd;
+
+  if (subscription.endDate) {
+    const lastDay = publicationCalendar.parseDay(subscription.endDate);
+    lastDay.setDate(lastDay.getDate() - 1);
+    if (lastDay < to) to = lastDay;
+  }
+
+  return from <= to ? { from, to } : null;
+};
+
+// Delivery items for the subscriptions on schedules dated within the month, grouped by
+// subscription id, each carrying its schedule's date as `day`
+const loadDeliveryItems = async (areaIds, subscriptionIds, monthStart, monthEnd) => {
+  const nextMonth = new Date(monthEnd);
+  nextMonth.setDate(nextMonth.getDate() + 1);
+
+  const schedules = await DeliverySchedule.find({
+    areaId: { $in: areaIds },
+    date: { $gte: monthStart, $lt: nextMonth }
+  }).select('date').lean();
+  const scheduleDates = new Map(schedules.map(schedule => [schedule._id.toString(), schedule.date]));
+
+  const items = await DeliveryItem.find({
+    scheduleId: { $in: schedules.map(schedule => schedule._id) },
+    subscriptionId: { $in: subscriptionIds }
+  }).select('scheduleId subscriptionId quantity status').lean();
+
+  return items.reduce((map, item) => {
+    const key = item.subscriptionId.toString();
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push({ ...item, day: scheduleDates.get(item.scheduleId.toString()) });
+    return map;
+  }, new Map());
+};
+
+// Bill line for one subscription, or null if nothing is billable in the month.
+// `price` on a publication is the price of a single copy of one issue.
+const buildBillLine = (subscription, { mode, monthStart, monthEnd, pauses, deliveryItems }) => {
+  const publication = subscription.publicationId;
+  const period = servicePeriod(subscription, monthStart, monthEnd);
+  if (!publication || !period) return null;
+
+  const inPeriod = (day) => {
+    const date = publicationCalendar.parseDay(day);
+    return date >= period.from && date <= period.to;
+  };
+  const items = deliveryItems.filter(item => item.day && inPeriod(item.day));
+  const failedDays = new Set(items.filter(item => item.status === 'Failed').map(item => dayKey(item.day)));
+
+  const issueDates = publicationCalendar.listIssueDates(publication, period.from, period.to);
+  const pausedIssues = issueDates.filter(date => pauseService.isPausedOn(pauses, date)).length;
+
+  let issuesBilled;
+  let copies;
+  if (mode === 'Deliveries') {
+    const delivered = items.filter(item => item.status === 'Delivered');
+    issuesBilled = new Set(delivered.map(item => dayKey(item.day))).size;
+    copies = delivered.reduce((sum, item) => sum + (item.quantity || 1), 0);
+  } else {
+    issuesBilled = issueDates.filter(date =>
+      !pauseService.isPausedOn(pauses, date) && !failedDays.has(date.toDateString())).length;
+    copies = issuesBilled * (subscription.quantity || 1);
+  }
+
+  if (copies === 0) return null;
+
+  return {
+    publicationId: publication._id,
+    quantity: copies,
+    unitPrice: publication.price,
+    totalPrice: roundMoney(copies * publication.price),
+    issuesBilled,
+    pausedIssues,
+    failedIssues: failedDays.size,
+    deliveryPeriod: period
+  };
+};
+
+// Bill lines for every subscription in the month, keyed by subscription id
+exports.buildBillLines = async ({ subscriptions, areas, month, year }) => {
+  const monthStart = new Date(year, month - 1, 1);
+  const monthEnd = new Date(year, month, 0);
+  const modeByArea = new Map(areas.map(area => [area._id.toString(), (area.billing && area.billing.mode) || 'Issues']));
+
+  const subscriptionIds = subscriptions.map(sub => sub._id);
+  const [pausesBySubscription, itemsBySubscription] = await Promise.all([
+    pauseService.getPausesBySubscription(subscriptionIds),
+    loadDeliveryItems(areas.map(area => area._id), subscriptionIds, monthStart, monthEnd)
+  ]);
+
+  const lines = new Map();
+  for (const subscription of subscriptions) {
+    const key = subscription._id.toString();
+    const line = buildBillLine(subscription, {
+      mode: modeByArea.get(subscription.areaId && subscription.areaId.toString()) || 'Issues',
+      monthStart,
+      monthEnd,
+      pauses: pausesBySubscription.get(key) || [],
+      deliveryItems: itemsBySubscription.get(key) || []
+    });
+    if (line) lines.set(key, line);
+  }
+  return lines;
+};
+
+const billKey = (userId, areaId) => `${userId}-${areaId}`;
+
+// Status a finalised bill should have for its outstanding amount
+exports.billStatus = (bill, now = new Date()) => {
+  if (bill.outstandingAmount <= 0) return 'Paid';
+  if (publicationCalendar.parseDay(bill.dueDate) < publicationCalendar.parseDay(now)) return 'Overdue';
+  const amountDue = roundMoney(bill.totalAmount + (bill.openingBalance || 0) + (bill.adjustmentTotal || 0));
+  return bill.outstandingAmount < amountDue ? 'Partially Paid' : 'Unpaid';
+};
+
+// Bring a finalised bill's totals and status in line with the ledger, which is the
+// record of what is owed on it
+exports.recalculateBill = async (billId, session = null) => {
+  const bill = await Bill.findById(billId).session(session);
+  if (!bill || bill.status === 'Draft') return bill;
+
+  const items = await BillItem.find({ billId }).session(session).lean();
+  const adjustments = await BillAdjustment.find({ billId, status: 'Approved' }).session(session).lean();
+
+  const sum = (rows, value) => roundMoney(rows.reduce((total, row) => total + value(row), 0));
+  bill.totalAmount = sum(items, item => item.totalPrice);
+  bill.adjustmentTotal = sum(adjustments, adjustment =>
+    adjustment.type === 'Credit Note' ? -adjustment.amount : adjustment.amount);
+
+  const balance = await ledgerService.billBalance(bill, session);
+  bill.outstandingAmount = Math.max(0, balance);
+  bill.creditBalance = 0; // Overpayments are held as account credit in the ledger
+
+  if (bill.carriedForwardTo && balance <= 0 && bill.carriedForwardAmount > 0) {
+    bill.status = 'Carried Forward';
+  } else {
+    bill.status = exports.billStatus(bill);
+  }
+  bill.updatedAt = new Date();
+  await bill.save({ session });
+  return bill;
+};
+
+// Move anything still owed on the customer's earlier bills in the same area onto `bill`,
+// marking them as carried forward. Returns the total brought forward.
+const carryForwardBalances = async (bill, session) => {
+  const previousBills = await Bill.find({
+    _id: { $ne: bill._id },
+    userId: bill.userId,
+    areaId: bill.areaId,
+    status: { $nin: ['Draft', 'Carried Forward', 'Paid'] },
+    $or: [{ billYear: { $lt: bill.billYear } }, { billYear: bill.billYear, billMonth: { $lt: bill.billMonth } }]
+  }).session(session);
+
+  let broughtForward = 0;
+  for (const previous of previousBills) {
+    const balance = await ledgerService.billBalance(previous, session);
+    if (balance <= 0) continue;
+
+    await ledgerService.transferBalance(previous, bill, balance, session);
+    broughtForward = roundMoney(broughtForward + balance);
+
+    previous.carriedForwardTo = bill._id;
+    previous.carriedForwardAmount = roundMoney((previous.carriedForwardAmount || 0) + balance);
+    previous.outstandingAmount = 0;
+    previous.status = 'Carried Forward';
+    previous.updatedAt = new Date();
+    await previous.save({ session });
+  }
+  return broughtForward;
+};
+
+// Give a draft bill the next number in its area's sequence for the year and issue it.
+// Must run inside the caller's transaction so an aborted run does not leave a gap.
+exports.finalizeBill = async (bill, session) => {
+  if (bill.status !== 'Draft') {
+    throw new Error(`Bill ${bill._id} is already finalised`);
+  }
+
+  const sequence = await BillSequence.findOneAndUpdate(
+    { areaId: bill.areaId, year: bill.billYear },
+    { $inc: { lastNumber: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  const areaCode = bill.areaId.toString().slice(-6).toUpperCase();
+  bill.billNumber = `BILL-${bill.billYear}-${areaCode}-${sequence.lastNumber.toString().padStart(6, '0')}`;
+
+  // Charge the bill, bring in unpaid balances from earlier bills and use up any account
+  // credit; the opening balance is what was brought forward less the credit applied.
+  // The caller should run walletService.notifyLowBalances once the transaction commits.
+  await ledgerService.recordCharge(bill, bill.totalAmount, { description: `Bill ${bill.billNumber}` }, session);
+  const broughtForward = await carryForwardBalances(bill, session);
+  const creditApplied = await ledgerService.applyAccountCredit(bill, session);
+
+  bill.openingBalance = roundMoney(broughtForward - creditApplied);
+
+  // Customers on autopay have the rest settled from their wallet
+  await walletService.applyAutopay(bill, session);
+  bill.status = 'Unpaid';
+  bill.billDate = new Date();
+  bill.finalizedAt = new Date();
+  await bill.save({ session });
+  return exports.recalculateBill(bill._id, session);
+};
+
+// Work out the month's bills for the given areas (optionally one customer) and bring the
+// stored bills in line: new bills are created as drafts, existing drafts are rebuilt and
+// drafts with nothing left to bill are removed. Finalised bills are never touched, so the
+// run can be repeated safely. With dryRun nothing is written and the plan is returned.
+exports.generateMonthlyBills = async ({ areaIds, month, year, userId, dryRun = false, finalize = false, session = null }) => {
+  const monthStart = new Date(year, month - 1, 1);
+  const monthEnd = new Date(year, month, 0);
+
+  // Every subscription that was running at some point during the month
+  const subscriptionQuery = {
+    areaId: { $in: areaIds },
+    status: { $in: ['Active', 'Paused', 'Cancelled'] },
+    startDate: { $lte: monthEnd },
+    $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gt: monthStart } }]
+  };
+  if (userId) subscriptionQuery.userId = userId;
+
+  const subscriptions = await Subscription.find(subscriptionQuery).populate('publicationId');
+  const areas = await Area.find({ _id: { $in: areaIds } }).select('billing').lean();
+  const billLines = await exports.buildBillLines({ subscriptions, areas, month, year });
+
+  // Group lines into one planned bill per customer and area
+  const planned = new Map();
+  for (const subscription of subscriptions) {
+    const line = billLines.get(subscription._id.toString());
+    if (!line) continue;
+
+    const key = billKey(subscription.userId, subscription.areaId);
+    if (!planned.has(key)) {
+      planned.set(key, {
+        userId: subscription.userId,
+        areaId: subscription.areaId,
+        totalAmount: 0,
+        items: []
+      });
+    }
+    const bill = planned.get(key);
+    bill.totalAmount = roundMoney(bill.totalAmount + line.totalPrice);
+    bill.items.push(line);
+  }
+
+  const existingQuery = { areaId: { $in: areaIds }, billMonth: month, billYear: year };
+  if (userId) existingQuery.userId = userId;
+  const existingBills = await Bill.find(existingQuery).session(session);
+  const existingByKey = new Map(existingBills.map(bill => [billKey(bill.userId, bill.areaId), bill]));
+
+  const result = { created: [], updated: [], removed: [], skipped: [], finalized: [] };
+
+  for (const [key, plan] of planned) {
+    const existing = existingByKey.get(key);
+    if (existing && existing.status !== 'Draft') {
+      result.skipped.push({ billId: existing._id, billNumber: existing.billNumber, userId: plan.userId, areaId: plan.areaId });
+      continue;
+    }
+
+    if (dryRun) {
+      (existing ? result.updated : result.created).push({ billId: existing && existing._id, ...plan });
+      continue;
+    }
+
+    let bill = existing;
+    if (bill) {
+      await BillItem.deleteMany({ billId: bill._id }, { session });
+      bill.totalAmount = plan.totalAmount;
+      bill.outstandingAmount = plan.totalAmount;
+      bill.billDate = new Date();
+      bill.updatedAt = new Date();
+      await bill.save({ session });
+      result.updated.push(bill);
+    } else {
+      [bill] = await Bill.create([{
+        userId: plan.userId,
+        areaId: plan.areaId,
+        billDate: new Date(),
+        billMonth: month,
+        billYear: year,
+        totalAmount: plan.totalAmount,
+        outstandingAmount: plan.totalAmount,
+        dueDate: new Date(year, month, 15), // Due on 15th of the following month
+        status: 'Draft'
+      }], { session });
+      result.created.push(bill);
+    }
+
+    await BillItem.create(plan.items.map(item => ({ ...item, billId: bill._id })), { session });
+  }
+
+  // Drafts whose subscriptions no longer produce anything to bill
+  for (const [key, bill] of existingByKey) {
+    if (planned.has(key) || bill.status !== 'Draft') continue;
+    if (!dryRun) {
+      await BillItem.deleteMany({ billId: bill._id }, { session });
+      await Bill.deleteOne({ _id: bill._id }, { session });
+    }
+    result.removed.push({ billId: bill._id, userId: bill.userId, areaId: bill.areaId });
+  }
+
+  if (finalize && !dryRun) {
+    for (const bill of [...result.created, ...result.updated]) {
+      result.finalized.push(await exports.finalizeBill(bill, session));
+    }
+  }
+
+  return result;
+};
+
+// Move an area's bills to another area when the two are merged. A customer can only have
+// one bill per area and month, so where both areas billed the same month a draft gives
+// way to the other bill, and when both are finalised the source bill stays with the
+// source area (reported back) rather than being merged. Bill number sequences continue
+// from the higher of the two areas' numbers.
+exports.moveBillsToArea = async (sourceAreaId, targetAreaId, session = null) => {
+  const sourceBills = await Bill.find({ areaId: sourceAreaId }).session(session);
+  const targetBills = await Bill.find({
+    areaId: targetAreaId,
+    userId: { $in: sourceBills.map(bill => bill.userId) }
+  }).session(session);
+
+  const key = (bill) => `${bill.userId}|${bill.billYear}|${bill.billMonth}`;
+  const targetByKey = new Map(targetBills.map(bill => [key(bill), bill]));
+
+  const removeDraft = async (bill) => {
+    await BillItem.deleteMany({ billId: bill._id }, { session });
+    await Bill.deleteOne({ _id: bill._id }, { session });
+  };
+
+  const result = { moved: 0, removedDrafts: 0, keptInSource: [] };
+  const moveIds = [];
+  for (const bill of sourceBills) {
+    const clash = targetByKey.get(key(bill));
+    if (clash && bill.status === 'Draft') {
+      await removeDraft(bill);
+      result.removedDrafts++;
+      continue;
+    }
+    if (clash && clash.status !== 'Draft') {
+      result.keptInSource.push({ billId: bill._id, billNumber: bill.billNumber, clashesWith: clash._id });
+      continue;
+    }
+    if (clash) {
+      await removeDraft(clash);
+      result.removedDrafts++;
+    }
+    moveIds.push(bill._id);
+  }
+
+  if (moveIds.length > 0) {
+    await Bill.updateMany({ _id: { $in: moveIds } }, { areaId: targetAreaId }, { session });
+    await BillAdjustment.updateMany({ billId: { $in: moveIds } }, { areaId: targetAreaId }, { session });
+    await LedgerEntry.updateMany({ billId: { $in: moveIds } }, { areaId: targetAreaId }, { session });
+  }
+  // Wallet and account credit entries belong to no bill
+  await LedgerEntry.updateMany({ areaId: sourceAreaId, billId: null }, { areaId: targetAreaId }, { session });
+  result.moved = moveIds.length;
+
+  const sequences = await BillSequence.find({ areaId: sourceAreaId }).session(session);
+  for (const sequence of sequences) {
+    await BillSequence.updateOne(
+      { areaId: targetAreaId, year: sequence.year },
+      { $max: { lastNumber: sequence.lastNumber } },
+      { upsert: true, session }
+    );
+  }
+  await BillSequence.deleteMany({ areaId: sourceAreaId }, { session });
+
+  return result;
+};
+
+exports.BILLING_MODES = BILLING_MODES;
+exports.roundMoney = roundMoney;
+
+module.exports = exports;
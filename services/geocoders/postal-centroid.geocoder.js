@@ -0,0 +1,18 @@
+const { PostalCodeCentroid } = require('../../models');
+
+// Offline geocoder: places an address at the centre of its postal code, from the table
+// loaded with scripts/import-postal-codes.js. Good enough for area matching and route
+// ordering; individual houses in a postal code share a point.
+module.exports = {
+  name: 'postal-centroid',
+
+  geocode: async (address, normalizePostalCode) => {
+    const centroid = await PostalCodeCentroid.findOne({ postalCode: normalizePostalCode(address.postalCode) }).lean();
+    if (!centroid) return null;
+    return {
+      latitude: centroid.latitude,
+      longitude: centroid.longitude,
+      precision: 'postal-code'
+    };
+  }
+};
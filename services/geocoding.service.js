@@ -0,0 +1,118 @@
+const { Area, PostalCodeCentroid } = require('../models');
+
+// Geocoders are looked up by name from GEOCODER; others can be plugged in with
+// registerGeocoder. A geocoder has a name and
+//   geocode(address, normalizePostalCode) -> { latitude, longitude, precision } or null
+const geocoders = {
+  'postal-centroid': require('./geocoders/postal-centroid.geocoder')
+};
+
+exports.registerGeocoder = (geocoder) => {
+  if (!geocoder || !geocoder.name || typeof geocoder.geocode !== 'function') {
+    throw new Error('A geocoder needs a name and a geocode(address) function');
+  }
+  geocoders[geocoder.name] = geocoder;
+};
+
+const getGeocoder = () => {
+  const name = process.env.GEOCODER || 'postal-centroid';
+  const geocoder = geocoders[name];
+  if (!geocoder) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+  return geocoder;
+};
+
+// Postal codes are compared upper case without spaces, so "sw1a 1aa" matches "SW1A1AA"
+exports.normalizePostalCode = (postalCode) => (postalCode || '').toString().replace(/\s+/g, '').toUpperCase();
+
+// Active area that lists the postal code, if any. Areas store their codes normalised.
+exports.findAreaForPostalCode = async (postalCode) => {
+  const normalized = exports.normalizePostalCode(postalCode);
+  if (!normalized) return null;
+
+  return Area.findOne({ isActive: true, postalCodes: { $in: [normalized] } })
+    .select('name postalCodes')
+    .lean();
+};
+
+// Fill in coordinates and area for an address (not saved). Coordinates entered by hand
+// are kept. Anything that cannot be resolved marks the address for manager review.
+// Without a postal code match the address keeps its current area, or fallbackAreaId
+// (the customer's area), so it never drops out of its manager's area.
+exports.resolveAddress = async (address, { fallbackAreaId } = {}) => {
+  const problems = [];
+
+  if (address.geocodeSource !== 'Manual') {
+    let result = null;
+    try {
+      const geocoder = getGeocoder();
+      result = await geocoder.geocode(address, exports.normalizePostalCode);
+      if (result) address.geocodeSource = geocoder.name;
+    } catch (error) {
+      console.error('Geocoding error:', error);
+    }
+
+    if (result) {
+      address.latitude = result.latitude;
+      address.longitude = result.longitude;
+      address.geocodedAt = new Date();
+    } else {
+      address.latitude = undefined;
+      address.longitude = undefined;
+      address.geocodeSource = undefined;
+      problems.push('location not found for postal code');
+    }
+  }
+
+  const area = await exports.findAreaForPostalCode(address.postalCode);
+  if (area) {
+    address.areaId = area._id;
+  } else {
+    address.areaId = address.areaId || fallbackAreaId || undefined;
+    problems.push('no delivery area covers this postal code');
+  }
+
+  address.needsReview = problems.length > 0;
+  address.reviewReason = problems.length > 0 ? problems.join('; ') : undefined;
+  return address;
+};
+
+// A coordinate from an import row; blank cells are invalid rather than 0
+const toCoordinate = (value) => (value === undefined || value === null || String(value).trim() === ''
+  ? NaN
+  : Number(value));
+
+// Load postal code centroids. rows: [{ postalCode, latitude, longitude, city, state }]
+// Returns counts of rows written and rows skipped as invalid. Large files are passed in
+// batches by the caller.
+exports.importCentroids = async (rows) => {
+  const operations = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const postalCode = exports.normalizePostalCode(row.postalCode);
+    const latitude = toCoordinate(row.latitude);
+    const longitude = toCoordinate(row.longitude);
+    if (!postalCode || isNaN(latitude) || isNaN(longitude) ||
+        Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      skipped++;
+      continue;
+    }
+    operations.push({
+      updateOne: {
+        filter: { postalCode },
+        update: { postalCode, latitude, longitude, city: row.city, state: row.state, updatedAt: new Date() },
+        upsert: true
+      }
+    });
+  }
+
+  if (operations.length > 0) {
+    await PostalCodeCentroid.bulkWrite(operations, { ordered: false });
+  }
+
+  return { imported: operations.length, skipped };
+};
+
+module.exports = exports;
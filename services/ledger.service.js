@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const { LedgerEntry, User } = require('../models');
+
+// Customer-side accounts. Receivable is what is owed on each bill (debit balance);
+// Customer Credit is money held for the customer, e.g. overpayments (credit balance);
+// Wallet is money the customer has prepaid (credit balance).
+const RECEIVABLE = 'Receivable';
+const CUSTOMER_CREDIT = 'Customer Credit';
+const WALLET = 'Wallet';
+const CUSTOMER_ACCOUNTS = [RECEIVABLE, CUSTOMER_CREDIT, WALLET];
+
+// Transaction types that only move money between a customer's own accounts
+const INTERNAL_TYPES = ['Balance Transfer', 'Credit Applied', 'Wallet Payment'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Record one balanced transaction. `lines` are { account, debit, credit, billId? };
+// the shared fields (userId, type, date, billId, paymentId, ...) go on every entry.
+const post = async ({ lines, ...shared }, session = null) => {
+  const entries = lines
+    .map(line => ({ ...line, debit: roundMoney(line.debit || 0), credit: roundMoney(line.credit || 0) }))
+    .filter(line => line.debit > 0 || line.credit > 0);
+  if (entries.length === 0) return [];
+
+  const debits = roundMoney(entries.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundMoney(entries.reduce((sum, line) => sum + line.credit, 0));
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger transaction (${shared.type}): debits ${debits}, credits ${credits}`);
+  }
+
+  const transactionId = new mongoose.Types.ObjectId();
+  const date = shared.date || new Date();
+  return LedgerEntry.create(
+    entries.map(line => ({ ...shared, ...line, transactionId, date })),
+    { session }
+  );
+};
+
+// Serialise changes that depend on a customer's balances: spending account credit or the
+// wallet, and splitting a payment between what is owed and credit. The ledger only ever
+// inserts entries, so two transactions could both read the same balance and both act on
+// it; writing the same per-customer document first makes the second fail with a write
+// conflict instead. Must run inside the caller's transaction, before the balance is read.
+const lockBalances = async (userId, session) => {
+  if (!session || !session.inTransaction()) {
+    throw new Error('Spending a customer balance must run inside a transaction');
+  }
+  await User.updateOne({ _id: userId }, { $inc: { balanceVersion: 1 } }, { session });
+};
+
+// True for the write conflict lockBalances raises when another transaction got there first
+exports.isBalanceConflict = (error) => Boolean(error && typeof error.hasErrorLabel === 'function' &&
+  error.hasErrorLabel('TransientTransactionError'));
+
+const balanceOf = async (match, session) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+  ]).session(session);
+  return result ? roundMoney(result.debit - result.credit) : 0;
+};
+
+// Bills finalised before the ledger existed have no entries; open them with their
+// outstanding amount (and any credit they held) so they can be settled through the ledger.
+const ensureOpened = async (bill, session) => {
+  if (bill.status === 'Draft' || await LedgerEntry.exists({ billId: bill._id }).session(session)) return;
+
+  const shared = { userId: bill.userId, areaId: bill.areaId, billId: bill._id, type: 'Opening Balance', description: 'Balance brought into the ledger' };
+  await post({
+    ...shared,
+    lines: [
+      { account: RECEIVABLE, debit: bill.outstandingAmount },
+      { account: CUSTOMER_CREDIT, credit: bill.creditBalance || 0 },
+      { account: 'Opening Balances', credit: bill.outstandingAmount, debit: bill.creditBalance || 0 }
+    ]
+  }, session);
+};
+
+// Amount still owed on a bill
+exports.billBalance = async (bill, session = null) => {
+  await ensureOpened(bill, session);
+  return balanceOf({ billId: bill._id, account: RECEIVABLE }, session);
+};
+
+// Account credit held for the customer
+exports.availableCredit = async (userId, session = null) => {
+  const balance = await balanceOf({ userId: new mongoose.Types.ObjectId(userId.toString()), account: CUSTOMER_CREDIT }, session);
+  return Math.max(0, -balance);
+};
+
+// Charge a bill, e.g. its subscription lines when finalised or a late fee
+exports.recordCharge = async (bill, amount, { type = 'Charge', description } = {}, session = null) => {
+  await ensureOpened(bill, session);
+  return post({
+    userId: bill.userId,
+    areaId: bill.areaId,
+    billId: bill._id,
+    type,
+    description,
+    lines: [
+      { account: RECEIVABLE, debit: amount },
+      { account: type === 'Late Fee' ? 'Late Fee Income' : 'Revenue', credit: amount }
+    ]
+  }, session);
+};
+
+// Settle a bill with a payment; anything over the amount owed is held as account credit
+exports.recordPayment = async (payment, bill, session = null) => {
+  await lockBalances(bill.userId, session);
+  const owed = Math.max(0, await exports.billBalance(bill, session));
+  const applied = Math.min(payment.amount, owed);
+
+  return post({
+    userId: bill.userId,
+    areaId: bill.areaId,
+    billId: bill._id,
+    paymentId: payment._id,
+    type: 'Payment',
+    date: payment.paymentDate,
+    description: `Payment ${payment.receiptNumber || payment._id}`,
+    lines: [
+      { account: 'Cash', debit: payment.amount },
+      { account: RECEIVABLE, credit: applied },
+      { account: CUSTOMER_CREDIT, credit: roundMoney(payment.amount - applied) }
+    ]
+  }, session);
+};
+
+// Return money to the customer, taken first from their account credit and otherwise
+// reinstated as owed on the bill the payment was for
+exports.recordRefund = async (refund, payment, bill, session = null) => {
+  await lockBalances(payment.userId, session);
+  await ensureOpened(bill, session);
+  const fromCredit = Math.min(refund.amount, await exports.availableCredit(payment.userId, session));
+
+  return post({
+    userId: payment.userId,
+    billId: refund.billId,
+    paymentId: payment._id,
+    refundId: refund._id,
+    type: 'Refund',
+    description: refund.reason,
+    lines: [
+      { account: CUSTOMER_CREDIT, debit: fromCredit },
+      { account: RECEIVABLE, debit: roundMoney(refund.amount - fromCredit) },
+      { account: 'Cash', credit: refund.amount }
+    ]
+  }, session);
+};
+
+// Apply an approved credit note or debit adjustment. A credit note larger than what is
+// owed on the bill leaves the remainder as account credit.
+exports.recordAdjustment = async (adjustment, bill, session = null) => {
+  const shared = {
+    userId: bill.userId,
+    areaId: bill.areaId,
+    billId: bill._id,
+    adjustmentId: adjustment._id,
+    type: adjustment.type,
+    description: adjustment.reason
+  };
+  await ensureOpened(bill, session);
+
+  if (adjustment.type === 'Debit Adjustment') {
+    return post({
+      ...shared,
+      lines: [
+        { account: RECEIVABLE, debit: adjustment.amount },
+        { account: 'Adjustments', credit: adjustment.amount }
+      ]
+    }, session);
+  }
+
+  const owed = Math.max(0, await exports.billBalance(bill, session));
+  const applied = Math.min(adjustment.amount, owed);
+  return post({
+    ...shared,
+    lines: [
+      { account: 'Adjustments', debit: adjustment.amount },
+      { account: RECEIVABLE, credit: applied },
+      { account: CUSTOMER_CREDIT, credit: roundMoney(adjustment.amount - applied) }
+    ]
+  }, session);
+};
+
+// Move what is owed on an earlier bill onto a later one
+exports.transferBalance = (fromBill, toBill, amount, session = null) => post({
+  userId: toBill.userId,
+  areaId: toBill.areaId,
+  type: 'Balance Transfer',
+  description: `Balance carried forward from ${fromBill.billNumber || fromBill._id}`,
+  lines: [
+    { account: RECEIVABLE, credit: amount, billId: fromBill._id },
+    { account: RECEIVABLE, debit: amount, billId: toBill._id }
+  ]
+}, session);
+
+// Use the customer's account credit towards a bill; returns the amount applied
+exports.applyAccountCredit = async (bill, session = null) => {
+  await lockBalances(bill.userId, session);
+  const owed = Math.max(0, await exports.billBalance(bill, session));
+  const applied = Math.min(owed, await exports.availableCredit(bill.userId, session));
+  if (applied <= 0) return 0;
+
+  await post({
+    userId: bill.userId,
+    areaId: bill.areaId,
+    billId: bill._id,
+    type: 'Credit Applied',
+    description: 'Account credit applied',
+    lines: [
+      { account: CUSTOMER_CREDIT, debit: applied },
+      { account: RECEIVABLE, credit: applied }
+    ]
+  }, session);
+  return applied;
+};
+
+// Prepaid money in the customer's wallet
+exports.walletBalance = async (userId, session = null) => {
+  const balance = await balanceOf({ userId: new mongoose.Types.ObjectId(userId.toString()), account: WALLET }, session);
+  return Math.max(0, -balance);
+};
+
+// Add a confirmed top-up payment to the wallet
+exports.recordWalletTopUp = (payment, session = null) => post({
+  userId: payment.userId,
+  paymentId: payment._id,
+  type: 'Wallet Top-up',
+  date: payment.paymentDate,
+  description: `Wallet top-up ${payment.receiptNumber || payment._id}`,
+  lines: [
+    { account: 'Cash', debit: payment.amount },
+    { account: WALLET, credit: payment.amount }
+  ]
+}, session);
+
+// Refund part of a wallet top-up out of the wallet. Returns false, posting nothing, when
+// the wallet no longer holds the amount because it has been spent.
+exports.recordWalletRefund = async (refund, payment, session = null) => {
+  await lockBalances(payment.userId, session);
+  if (refund.amount > await exports.walletBalance(payment.userId, session)) return false;
+
+  await post({
+    userId: payment.userId,
+    paymentId: payment._id,
+    refundId: refund._id,
+    type: 'Refund',
+    description: refund.reason,
+    lines: [
+      { account: WALLET, debit: refund.amount },
+      { account: 'Cash', credit: refund.amount }
+    ]
+  }, session);
+  return true;
+};
+
+// Pay up to `amount` of a bill from the wallet (all that is owed when amount is omitted);
+// returns the amount paid, never more than the wallet holds
+exports.payFromWallet = async (bill, amount, session = null) => {
+  await lockBalances(bill.userId, session);
+  const owed = Math.max(0, await exports.billBalance(bill, session));
+  const available = await exports.walletBalance(bill.userId, session);
+  const paid = roundMoney(Math.min(owed, available, amount === undefined ? owed : amount));
+  if (paid <= 0) return 0;
+
+  await post({
+    userId: bill.userId,
+    areaId: bill.areaId,
+    billId: bill._id,
+    type: 'Wallet Payment',
+    description: `Paid from wallet towards ${bill.billNumber || bill._id}`,
+    lines: [
+      { account: WALLET, debit: paid },
+      { account: RECEIVABLE, credit: paid }
+    ]
+  }, session);
+  return paid;
+};
+
+// Give up whatever is left in the customer's wallet and account credit, e.g. when they
+// close their account without asking for a refund; returns the amounts written off
+exports.forfeitBalances = async (userId, session = null) => {
+  await lockBalances(userId, session);
+  const wallet = await exports.walletBalance(userId, session);
+  const credit = await exports.availableCredit(userId, session);
+
+  await post({
+    userId,
+    type: 'Balance Forfeited',
+    description: 'Balance given up on account closure',
+    lines: [
+      { account: WALLET, debit: wallet },
+      { account: CUSTOMER_CREDIT, debit: credit },
+      { account: 'Forfeited Balances', credit: roundMoney(wallet + credit) }
+    ]
+  }, session);
+  return { wallet, credit };
+};
+
+// Statement of the customer's account between two dates: the balance before `from`, each
+// transaction that changed what they owe, and the running balance after it. A positive
+// balance is owed by the customer, a negative one is credit held for them.
+exports.getStatement = async (userId, from, to) => {
+  const customerId = new mongoose.Types.ObjectId(userId.toString());
+  const openingBalance = await balanceOf({ userId: customerId, account: { $in: CUSTOMER_ACCOUNTS }, date: { $lt: from } });
+
+  const entries = await LedgerEntry.find({
+    userId: customerId,
+    account: { $in: CUSTOMER_ACCOUNTS },
+    type: { $nin: INTERNAL_TYPES },
+    date: { $gte: from, $lte: to }
+  })
+    .sort({ date: 1, createdAt: 1 })
+    .populate('billId', 'billNumber billMonth billYear')
+    .lean();
+
+  // One statement line per transaction
+  const transactions = new Map();
+  for (const entry of entries) {
+    const key = entry.transactionId.toString();
+    if (!transactions.has(key)) {
+      transactions.set(key, {
+        date: entry.date,
+        type: entry.type,
+        description: entry.description,
+        bill: entry.billId,
+        paymentId: entry.paymentId,
+        amount: 0
+      });
+    }
+    const line = transactions.get(key);
+    line.amount = roundMoney(line.amount + entry.debit - entry.credit);
+  }
+
+  let balance = openingBalance;
+  const lines = [...transactions.values()].map(line => {
+    balance = roundMoney(balance + line.amount);
+    return {
+      date: line.date,
+      type: line.type,
+      description: line.description,
+      bill: line.bill,
+      paymentId: line.paymentId,
+      debit: line.amount > 0 ? line.amount : 0,
+      credit: line.amount < 0 ? -line.amount : 0,
+      balance
+    };
+  });
+
+  return { from, to, openingBalance, closingBalance: balance, lines };
+};
+
+exports.RECEIVABLE = RECEIVABLE;
+exports.CUSTOMER_CREDIT = CUSTOMER_CREDIT;
+exports.WALLET = WALLET;
+
+module.exports = exports;
@@ -0,0 +1,13 @@
+// Prints messages to stdout; the default for local development
+module.exports = {
+  name: 'console',
+
+  send: async (message) => {
+    console.log('--- Outgoing mail ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('---------------------');
+  }
+};
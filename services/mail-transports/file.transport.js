@@ -0,0 +1,23 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'mail');
+
+// Writes each message to MAIL_FILE_DIR as a .txt file, handy for local testing
+module.exports = {
+  name: 'file',
+
+  send: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+
+    const fileName = `${Date.now()}-${message._id}.txt`;
+    const contents = [
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n');
+
+    await fs.writeFile(path.join(MAIL_DIR, fileName), contents);
+  }
+};
@@ -0,0 +1,121 @@
+const { MailOutbox } = require('../models');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 5 * 60 * 1000; // Leave a message this long after an attempt before retrying it
+
+// Transports that print or write messages locally. They would expose reset and invitation
+// links in logs or on disk, so they cannot be used in production.
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+// Transports are looked up by name from MAIL_TRANSPORT; others can be plugged in with registerTransport
+const transports = {
+  console: require('./mail-transports/console.transport'),
+  file: require('./mail-transports/file.transport')
+};
+
+exports.registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== 'function') {
+    throw new Error('A mail transport needs a name and a send(message) function');
+  }
+  transports[transport.name] = transport;
+};
+
+const transportName = () => process.env.MAIL_TRANSPORT || 'console';
+
+if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(transportName())) {
+  throw new Error(`MAIL_TRANSPORT ${transportName()} cannot be used in production; configure a real mail transport`);
+}
+
+const getTransport = () => {
+  const name = transportName();
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Links carrying a single-use token (password reset, verification, invitation). They are
+// only kept while the message may still be sent.
+const redactTokens = (text) => text.replace(/([?&]token=)[^\s&]+/g, '$1[redacted]');
+
+// Try to send one outbox row, recording the outcome on it. Once the message is sent or
+// has failed for good, any token links in it are redacted.
+const deliver = async (message) => {
+  const transport = getTransport();
+  message.attempts += 1;
+  message.transport = transport.name;
+
+  try {
+    await transport.send(message);
+    message.status = 'Sent';
+    message.sentAt = new Date();
+    message.lastError = undefined;
+  } catch (error) {
+    console.error('Mail delivery error:', error);
+    message.lastError = error.message;
+    message.status = message.attempts >= MAX_ATTEMPTS ? 'Failed' : 'Pending';
+  }
+
+  if (message.status !== 'Pending') {
+    message.text = redactTokens(message.text);
+  }
+  message.updatedAt = new Date();
+  await message.save();
+  return message;
+};
+
+// Write a message to the outbox and attempt delivery straight away.
+// A failed send stays Pending so deliverPending can retry it later.
+exports.queueMail = async ({ userId, to, subject, text, template }) => {
+  const message = await MailOutbox.create({
+    userId,
+    to,
+    subject,
+    text,
+    template,
+    status: 'Pending'
+  });
+
+  return deliver(message);
+};
+
+// Retry messages still waiting in the outbox whose last attempt was at least
+// RETRY_DELAY_MS ago. Each one is claimed first so two runs never send it twice.
+exports.deliverPending = async () => {
+  const pending = await MailOutbox.find({
+    status: 'Pending',
+    updatedAt: { $lt: new Date(Date.now() - RETRY_DELAY_MS) }
+  }).sort({ createdAt: 1 });
+
+  let attempted = 0;
+  for (const message of pending) {
+    const claimed = await MailOutbox.findOneAndUpdate(
+      { _id: message._id, status: 'Pending', updatedAt: message.updatedAt },
+      { updatedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    await deliver(claimed);
+    attempted++;
+  }
+
+  return attempted;
+};
+
+// Run deliverPending now and then periodically (every five minutes by default)
+exports.startMailRetry = (intervalMs = 5 * 60 * 1000) => {
+  const run = () => exports.deliverPending()
+    .then(attempted => {
+      if (attempted) {
+        console.log('Mail retry:', { attempted });
+      }
+    })
+    .catch(err => console.error('Mail retry error:', err));
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+module.exports = exports;
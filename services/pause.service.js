@@ -0,0 +1,109 @@
+const { Subscription, SubscriptionPause } = require('../models');
+const { parseDay } = require('./publication-calendar.service');
+
+// Pauses that still hold deliveries back (or will); older rows may have no status
+const LIVE_STATUSES = { $nin: ['Completed', 'Cancelled'] };
+
+// Whether any of the given pause windows covers the day
+exports.isPausedOn = (pauses, value) => {
+  const day = parseDay(value);
+  return pauses.some(pause =>
+    pause.status !== 'Cancelled' &&
+    parseDay(pause.startDate) <= day &&
+    parseDay(pause.endDate) >= day);
+};
+
+// Non-cancelled pauses for the subscriptions, grouped by subscription id
+exports.getPausesBySubscription = async (subscriptionIds, session = null) => {
+  const pauses = await SubscriptionPause.find({
+    subscriptionId: { $in: subscriptionIds },
+    status: { $ne: 'Cancelled' }
+  }).session(session).lean();
+
+  return pauses.reduce((map, pause) => {
+    const key = pause.subscriptionId.toString();
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(pause);
+    return map;
+  }, new Map());
+};
+
+// Another live pause for the same subscription that overlaps the range, if any
+exports.findOverlappingPause = (subscriptionId, startDate, endDate, excludePauseId) => {
+  const query = {
+    subscriptionId,
+    status: LIVE_STATUSES,
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  };
+  if (excludePauseId) query._id = { $ne: excludePauseId };
+  return SubscriptionPause.findOne(query);
+};
+
+// Bring subscription statuses in line with today's pause windows: start pauses whose
+// window has begun and resume subscriptions whose pause has ended.
+exports.syncPauses = async (now = new Date()) => {
+  const today = parseDay(now);
+
+  const ended = await SubscriptionPause.find({ status: LIVE_STATUSES, endDate: { $lt: today } });
+  for (const pause of ended) {
+    pause.status = 'Completed';
+    pause.updatedAt = new Date();
+    await pause.save();
+  }
+
+  const started = await SubscriptionPause.find({
+    status: { $nin: ['Completed', 'Cancelled', 'Active'] },
+    startDate: { $lte: today },
+    endDate: { $gte: today }
+  });
+  for (const pause of started) {
+    pause.status = 'Active';
+    pause.updatedAt = new Date();
+    await pause.save();
+  }
+
+  // Re-evaluate every subscription touched by a change
+  const subscriptionIds = [...ended, ...started].map(pause => pause.subscriptionId);
+  let resumed = 0;
+  let paused = 0;
+
+  for (const subscriptionId of subscriptionIds) {
+    const activePause = await SubscriptionPause.exists({
+      subscriptionId,
+      status: 'Active'
+    });
+
+    if (activePause) {
+      const result = await Subscription.updateOne(
+        { _id: subscriptionId, status: 'Active' },
+        { status: 'Paused', updatedAt: new Date() }
+      );
+      paused += result.modifiedCount;
+    } else {
+      const result = await Subscription.updateOne(
+        { _id: subscriptionId, status: 'Paused' },
+        { status: 'Active', updatedAt: new Date() }
+      );
+      resumed += result.modifiedCount;
+    }
+  }
+
+  return { started: started.length, ended: ended.length, paused, resumed };
+};
+
+// Run syncPauses now and then periodically (hourly by default)
+exports.startPauseSync = (intervalMs = 60 * 60 * 1000) => {
+  const run = () => exports.syncPauses()
+    .then(result => {
+      if (result.paused || result.resumed) {
+        console.log('Pause sync:', result);
+      }
+    })
+    .catch(err => console.error('Pause sync error:', err));
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+module.exports = exports;
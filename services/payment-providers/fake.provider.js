@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+// Stand-in gateway for local development and tests. Checkouts never leave the app:
+// `simulate` produces the signed webhook a real gateway would send, which can be
+// posted to /api/payments/webhook/fake (or triggered through the fake checkout route).
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// No fallback secret: a known default would let anyone sign webhooks
+const getSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const sign = (timestamp, body) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+module.exports = {
+  name: 'fake',
+
+  getSecret,
+
+  createIntent: async ({ payment }) => {
+    const checkoutReference = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      checkoutReference,
+      checkoutUrl: `${process.env.APP_URL || 'http://localhost:3000'}/api/payments/fake/${checkoutReference}`,
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+      amount: payment.amount
+    };
+  },
+
+  // Signature header format: t=<unix ms>,v1=<hex hmac of "t.body">
+  verifyWebhook: (rawBody, headers) => {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header) {
+      throw new Error('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || Math.abs(Date.now() - timestamp) > SIGNATURE_TOLERANCE_MS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(sign(timestamp, rawBody), 'hex');
+    const received = Buffer.from(parts.v1 || '', 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody);
+    return {
+      id: event.id,
+      type: event.type,
+      checkoutReference: event.data.checkoutReference,
+      providerPaymentId: event.data.id,
+      amount: event.data.amount,
+      failureReason: event.data.failureReason
+    };
+  },
+
+  // Build the signed webhook for a checkout; outcome is 'succeeded' or 'failed'
+  simulate: ({ checkoutReference, amount, outcome = 'succeeded', failureReason }) => {
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      data: {
+        id: `fake_pay_${crypto.randomBytes(8).toString('hex')}`,
+        checkoutReference,
+        amount,
+        failureReason: outcome === 'succeeded' ? undefined : (failureReason || 'Card declined')
+      }
+    });
+    const timestamp = Date.now();
+    return {
+      body,
+      headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, body)}` }
+    };
+  }
+};
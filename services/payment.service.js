@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { Payment, Bill, User, CustomerActivity } = require('../models');
+const ledgerService = require('./ledger.service');
+const billingService = require('./billing.service');
+
+// Payment methods that go through the gateway instead of being recorded directly
+const GATEWAY_METHODS = ['Online', 'UPI', 'Card'];
+
+// How long a checkout stays open when the provider does not say, and how long after it
+// closes a pending payment is kept for a late webhook before it is failed
+const DEFAULT_CHECKOUT_TTL_MS = 30 * 60 * 1000;
+const EXPIRY_GRACE_MS = 15 * 60 * 1000;
+
+// Providers are looked up by name from PAYMENT_PROVIDER; others can be plugged in with
+// registerProvider. A provider has:
+//   name
+//   createIntent({ payment, bill }) -> { checkoutReference, checkoutUrl, expiresAt }
+//     (bill is null for wallet top-ups)
+//   verifyWebhook(rawBody, headers) -> { id, type, checkoutReference, providerPaymentId, amount, failureReason }
+//     throwing if the signature does not check out; type is payment.succeeded or payment.failed
+const providers = {
+  fake: require('./payment-providers/fake.provider')
+};
+
+exports.registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.createIntent !== 'function' ||
+      typeof provider.verifyWebhook !== 'function') {
+    throw new Error('A payment provider needs a name, createIntent() and verifyWebhook()');
+  }
+  providers[provider.name] = provider;
+};
+
+// Only the provider named in PAYMENT_PROVIDER is used, for checkouts and for webhooks.
+// There is no default: the fake provider must be chosen explicitly.
+exports.isConfigured = () => Boolean(process.env.PAYMENT_PROVIDER && providers[process.env.PAYMENT_PROVIDER]);
+
+exports.getProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name || name !== process.env.PAYMENT_PROVIDER) {
+    throw new Error(`Payment provider ${name || '(none)'} is not enabled`);
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+exports.usesGateway = (paymentMethod) => GATEWAY_METHODS.includes(paymentMethod);
+
+// Open a checkout with the provider for a pending payment
+exports.createIntent = async (payment, bill) => {
+  const provider = exports.getProvider();
+  const intent = await provider.createIntent({ payment, bill });
+
+  payment.provider = provider.name;
+  payment.checkoutReference = intent.checkoutReference;
+  payment.expiresAt = intent.expiresAt || new Date(Date.now() + DEFAULT_CHECKOUT_TTL_MS);
+  payment.updatedAt = new Date();
+  await payment.save();
+
+  return {
+    provider: provider.name,
+    reference: intent.checkoutReference,
+    url: intent.checkoutUrl,
+    expiresAt: payment.expiresAt
+  };
+};
+
+// Fail gateway payments whose checkout lapsed without a webhook. Payments that never got
+// a checkout (the provider call failed) are failed once the default checkout time has
+// passed. The update is conditional on Pending, so a webhook that settles a payment at the
+// same time wins, and a webhook arriving after the sweep is ignored by handleEvent.
+exports.expirePendingPayments = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - EXPIRY_GRACE_MS);
+  const result = await Payment.updateMany(
+    {
+      status: 'Pending',
+      paymentMethod: { $in: GATEWAY_METHODS },
+      $or: [
+        { expiresAt: { $lte: cutoff } },
+        { expiresAt: null, createdAt: { $lte: new Date(cutoff.getTime() - DEFAULT_CHECKOUT_TTL_MS) } }
+      ]
+    },
+    { status: 'Failed', failureReason: 'Checkout expired', updatedAt: now }
+  );
+  return result.modifiedCount;
+};
+
+// Run expirePendingPayments now and then periodically (every five minutes by default)
+exports.startPaymentExpiry = (intervalMs = 5 * 60 * 1000) => {
+  const run = () => exports.expirePendingPayments()
+    .then(expired => {
+      if (expired) {
+        console.log('Payment expiry:', { expired });
+      }
+    })
+    .catch(err => console.error('Payment expiry error:', err));
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+// Apply a verified webhook event to its payment. Repeated deliveries of the same event
+// are ignored once the payment has left Pending.
+exports.handleEvent = async (providerName, event) => {
+  const payment = await Payment.findOne({ provider: providerName, checkoutReference: event.checkoutReference });
+  if (!payment) {
+    return { status: 'ignored', reason: 'Unknown checkout reference' };
+  }
+  if (payment.status !== 'Pending') {
+    return { status: 'ignored', reason: `Payment already ${payment.status.toLowerCase()}`, payment };
+  }
+
+  if (event.type !== 'payment.succeeded' && event.type !== 'payment.failed') {
+    return { status: 'ignored', reason: `Unhandled event type ${event.type}` };
+  }
+
+  const amountMatches = event.amount === undefined || Number(event.amount) === payment.amount;
+  const succeeded = event.type === 'payment.succeeded' && amountMatches;
+  const update = succeeded
+    ? { status: 'Completed', paymentDate: new Date(), confirmedAt: new Date() }
+    : {
+        status: 'Failed',
+        failureReason: amountMatches
+          ? event.failureReason || 'Payment failed'
+          : `Amount mismatch: expected ${payment.amount}, provider reported ${event.amount}`
+      };
+
+  // Claim the payment and record it in one transaction: concurrent deliveries of the event
+  // settle it once, and a failure part-way leaves it Pending so the provider's retry finishes it
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const settled = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'Pending' },
+      { ...update, providerPaymentId: event.providerPaymentId, updatedAt: new Date() },
+      { new: true, session }
+    );
+    if (!settled) {
+      await session.abortTransaction();
+      return { status: 'ignored', reason: 'Payment already settled' };
+    }
+    if (!succeeded) {
+      await session.commitTransaction();
+      return { status: 'failed', payment: settled };
+    }
+
+    if (settled.purpose === 'Wallet Top-up') {
+      await ledgerService.recordWalletTopUp(settled, session);
+      await User.updateOne({ _id: settled.userId }, { $unset: { 'wallet.lowBalanceNotifiedAt': 1 } }, { session });
+    } else {
+      const bill = await Bill.findById(settled.billId).session(session);
+      await ledgerService.recordPayment(settled, bill, session);
+      await billingService.recalculateBill(bill._id, session);
+    }
+
+    await CustomerActivity.create([{
+      userId: settled.userId,
+      activityType: 'Payment',
+      details: settled.purpose === 'Wallet Top-up'
+        ? `Wallet top-up of ${settled.amount} confirmed by ${providerName}`
+        : `Payment of ${settled.amount} for bill ${settled.billId} confirmed by ${providerName}`
+    }], { session });
+
+    await session.commitTransaction();
+    return { status: 'completed', payment: settled };
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,115 @@
+// Decides on which dates a publication actually comes out, so schedules and
+// print orders only include titles that have an issue that day.
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_QUARTER_MONTHS = [1, 4, 7, 10];
+
+// Treat "YYYY-MM-DD" as a local calendar day rather than UTC midnight
+exports.parseDay = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const sameDay = (a, b) => a.getFullYear() === b.getFullYear() &&
+  a.getMonth() === b.getMonth() &&
+  a.getDate() === b.getDate();
+
+// Issue dates are stored as UTC midnights ("YYYY-MM-DD" as saved by Mongoose); read them
+// back as the same calendar day in local time so they compare with parseDay's days
+const issueDay = (value) => {
+  const date = new Date(value);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Day of the month an issue falls on, moved back to the last day in short months
+const issueDayInMonth = (publication, date) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return Math.min(publication.issueDayOfMonth || 1, lastDay);
+};
+
+exports.isPublishedOn = (publication, value) => {
+  const date = exports.parseDay(value);
+
+  // An explicit issue calendar overrides the recurring rules
+  if (publication.issueDates && publication.issueDates.length > 0) {
+    return publication.issueDates.some(issueDate => sameDay(issueDay(issueDate), date));
+  }
+
+  const weekday = WEEKDAYS[date.getDay()];
+  const days = publication.publicationDays || [];
+
+  switch (publication.publicationType) {
+    case 'Daily':
+      return days.length === 0 || days.includes(weekday);
+    case 'Weekly':
+      return days.includes(weekday);
+    case 'Monthly':
+      return date.getDate() === issueDayInMonth(publication, date);
+    case 'Quarterly': {
+      const months = publication.issueMonths && publication.issueMonths.length > 0
+        ? publication.issueMonths
+        : DEFAULT_QUARTER_MONTHS;
+      return months.includes(date.getMonth() + 1) && date.getDate() === issueDayInMonth(publication, date);
+    }
+    default:
+      return false;
+  }
+};
+
+// All issue dates between from and to, inclusive
+exports.listIssueDates = (publication, from, to) => {
+  const dates = [];
+  const cursor = exports.parseDay(from);
+  const end = exports.parseDay(to);
+
+  while (cursor <= end) {
+    if (exports.isPublishedOn(publication, cursor)) {
+      dates.push(new Date(cursor));
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return dates;
+};
+
+// Problems with a publication's schedule settings, empty when they are usable
+exports.validateSchedule = ({ publicationType, publicationDays, issueDates, issueDayOfMonth, issueMonths }) => {
+  const errors = [];
+
+  // The lists come straight from the request body; anything but an array is rejected
+  const lists = { publicationDays, issueDates, issueMonths };
+  for (const [field, value] of Object.entries(lists)) {
+    if (value !== undefined && value !== null && !Array.isArray(value)) {
+      errors.push(`${field} must be a list`);
+    }
+  }
+  const asList = (value) => (Array.isArray(value) ? value : []);
+  const days = asList(publicationDays);
+  const dates = asList(issueDates);
+  const months = asList(issueMonths);
+
+  if (days.some(day => !WEEKDAYS.includes(day))) {
+    errors.push(`Publication days must be among ${WEEKDAYS.join(', ')}`);
+  }
+  if (publicationType === 'Weekly' && days.length === 0 && dates.length === 0) {
+    errors.push('Weekly publications need at least one publication day or an issue calendar');
+  }
+  if (issueDayOfMonth !== undefined && issueDayOfMonth !== null &&
+      (!Number.isInteger(issueDayOfMonth) || issueDayOfMonth < 1 || issueDayOfMonth > 31)) {
+    errors.push('Issue day of month must be between 1 and 31');
+  }
+  if (months.some(month => !Number.isInteger(month) || month < 1 || month > 12)) {
+    errors.push('Issue months must be between 1 and 12');
+  }
+  if (dates.some(issueDate => isNaN(new Date(issueDate).getTime()))) {
+    errors.push('Issue dates must be valid dates');
+  }
+
+  return errors;
+};
+
+module.exports = exports;
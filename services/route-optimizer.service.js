@@ -0,0 +1,146 @@
+// Orders delivery stops to keep the distance travelled short. Builds a tour with the
+// nearest-neighbour heuristic from the depot and then improves it with 2-opt, all
+// in-process. Distances are straight-line (haversine) estimates in kilometres, which
+// also stand in for travel time when a route is optimised for Time.
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_TWO_OPT_PASSES = 50;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const hasCoordinates = (point) => Boolean(point) &&
+  typeof point.latitude === 'number' && typeof point.longitude === 'number' &&
+  !isNaN(point.latitude) && !isNaN(point.longitude);
+
+exports.distanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Length of a path that starts at the depot and visits the points in order
+const pathLength = (depot, points, returnToDepot) => {
+  let total = 0;
+  let previous = depot;
+  for (const point of points) {
+    total += exports.distanceKm(previous, point);
+    previous = point;
+  }
+  if (returnToDepot && points.length > 0) total += exports.distanceKm(previous, depot);
+  return total;
+};
+
+const nearestNeighbour = (depot, points) => {
+  const remaining = [...points];
+  const tour = [];
+  let current = depot;
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+    remaining.forEach((point, index) => {
+      const distance = exports.distanceKm(current, point);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearestIndex = index;
+      }
+    });
+    current = remaining.splice(nearestIndex, 1)[0];
+    tour.push(current);
+  }
+  return tour;
+};
+
+// Reverse segments of the tour while doing so shortens it. Reversing stops i..k only
+// swaps the edges entering i and leaving k, so each candidate is checked in constant time.
+const twoOpt = (depot, tour, returnToDepot) => {
+  const best = [...tour];
+  const d = exports.distanceKm;
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      const before = i === 0 ? depot : best[i - 1];
+      for (let k = i + 1; k < best.length; k++) {
+        const after = k === best.length - 1 ? (returnToDepot ? depot : null) : best[k + 1];
+        const current = d(before, best[i]) + (after ? d(best[k], after) : 0);
+        const swapped = d(before, best[k]) + (after ? d(best[i], after) : 0);
+        if (swapped < current - 1e-9) {
+          const segment = best.slice(i, k + 1).reverse();
+          best.splice(i, segment.length, ...segment);
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return best;
+};
+
+// Average position of the points, used as the depot when the route has none
+exports.centroid = (points) => {
+  const located = points.filter(hasCoordinates);
+  if (located.length === 0) return null;
+  return {
+    latitude: located.reduce((sum, point) => sum + point.latitude, 0) / located.length,
+    longitude: located.reduce((sum, point) => sum + point.longitude, 0) / located.length
+  };
+};
+
+// stops: [{ id, latitude, longitude }]. Returns the stops in visiting order, with any
+// that have no coordinates left at the end in their original order, and the estimated
+// distance of the located part of the route.
+exports.optimize = (depot, stops, { returnToDepot = false } = {}) => {
+  const located = stops.filter(hasCoordinates);
+  const unlocated = stops.filter(stop => !hasCoordinates(stop));
+  const start = hasCoordinates(depot) ? depot : exports.centroid(located);
+
+  if (!start || located.length === 0) {
+    return { order: stops, unlocated, totalDistanceKm: 0 };
+  }
+
+  const tour = twoOpt(start, nearestNeighbour(start, located), returnToDepot);
+
+  return {
+    order: [...tour, ...unlocated],
+    unlocated,
+    totalDistanceKm: Math.round(pathLength(start, tour, returnToDepot) * 100) / 100
+  };
+};
+
+// Where to put a new point in an existing visiting order so it adds the least distance.
+// Stops without coordinates are stepped over. Returns the index to insert at and the
+// extra distance, or null when there is nothing located to measure against.
+exports.cheapestInsertion = (depot, stops, point) => {
+  const located = stops
+    .map((stop, index) => ({ stop, index }))
+    .filter(entry => hasCoordinates(entry.stop));
+  const start = hasCoordinates(depot) ? depot : exports.centroid(located.map(entry => entry.stop));
+  if (!hasCoordinates(point) || !start) return null;
+
+  let best = null;
+  for (let k = 0; k <= located.length; k++) {
+    const previous = k === 0 ? start : located[k - 1].stop;
+    const next = k < located.length ? located[k].stop : null;
+    const addedKm = exports.distanceKm(previous, point) +
+      (next ? exports.distanceKm(point, next) - exports.distanceKm(previous, next) : 0);
+    if (!best || addedKm < best.addedKm) {
+      best = { index: next ? located[k].index : (k === 0 ? 0 : located[k - 1].index + 1), addedKm };
+    }
+  }
+  return best;
+};
+
+// Estimated distance of stops visited in the given order, without reordering them
+exports.routeDistanceKm = (depot, stops, { returnToDepot = false } = {}) => {
+  const located = stops.filter(hasCoordinates);
+  const start = hasCoordinates(depot) ? depot : exports.centroid(located);
+  if (!start) return 0;
+  return Math.round(pathLength(start, located, returnToDepot) * 100) / 100;
+};
+
+exports.hasCoordinates = hasCoordinates;
+
+module.exports = exports;
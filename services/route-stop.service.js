@@ -0,0 +1,204 @@
+const { DeliveryRoute, RouteAddress, Address, Subscription } = require('../models');
+const routeOptimizer = require('./route-optimizer.service');
+
+// A route's stops are numbered 1..n with no gaps. Every edit works out the new order
+// in memory and rewrites the sequence numbers, then refreshes the route's distance.
+
+const toPoint = (stop) => ({
+  latitude: stop.addressId && stop.addressId.latitude,
+  longitude: stop.addressId && stop.addressId.longitude
+});
+
+exports.getStops = (routeId, session = null) => RouteAddress.find({ routeId })
+  .sort({ sequenceNumber: 1, createdAt: 1 })
+  .populate('addressId', 'streetAddress city postalCode latitude longitude userId')
+  .session(session);
+
+// Write sequence numbers 1..n for stops in the given order
+const saveOrder = async (route, stops, session) => {
+  const changed = stops
+    .map((stop, index) => ({ stop, sequenceNumber: index + 1 }))
+    .filter(entry => entry.stop.sequenceNumber !== entry.sequenceNumber);
+
+  if (changed.length > 0) {
+    await RouteAddress.bulkWrite(changed.map(entry => ({
+      updateOne: { filter: { _id: entry.stop._id }, update: { sequenceNumber: entry.sequenceNumber } }
+    })), { session });
+    changed.forEach(entry => { entry.stop.sequenceNumber = entry.sequenceNumber; });
+  }
+
+  route.estimatedDistanceKm = routeOptimizer.routeDistanceKm(route.depot, stops.map(toPoint));
+  await route.save({ session });
+  return stops;
+};
+
+// Active route in the area that already visits the address, if any
+exports.findRouteForAddress = async (areaId, addressId, session = null) => {
+  const routeIds = await DeliveryRoute.find({ areaId, isActive: true }).distinct('_id').session(session);
+  const stop = await RouteAddress.findOne({ routeId: { $in: routeIds }, addressId }).session(session);
+  return stop ? DeliveryRoute.findById(stop.routeId).session(session) : null;
+};
+
+// Add an address at a 1-based position, or at the end when position is omitted.
+// Callers check with findRouteForAddress that the address is not routed already.
+exports.insertStop = async (route, addressId, position, session = null) => {
+  const stops = await exports.getStops(route._id, session);
+  const index = position === undefined ? stops.length : Math.min(Math.max(position - 1, 0), stops.length);
+
+  const [created] = await RouteAddress.create([{
+    routeId: route._id,
+    addressId,
+    sequenceNumber: index + 1
+  }], { session });
+  const stop = await RouteAddress.findById(created._id)
+    .populate('addressId', 'streetAddress city postalCode latitude longitude userId')
+    .session(session);
+
+  stops.splice(index, 0, stop);
+  await saveOrder(route, stops, session);
+  return stop;
+};
+
+// Move a stop to a 1-based position
+exports.moveStop = async (route, stopId, position, session = null) => {
+  const stops = await exports.getStops(route._id, session);
+  const from = stops.findIndex(stop => stop._id.toString() === stopId.toString());
+  if (from === -1) return null;
+
+  const [stop] = stops.splice(from, 1);
+  stops.splice(Math.min(Math.max(position - 1, 0), stops.length), 0, stop);
+  return saveOrder(route, stops, session);
+};
+
+exports.removeStop = async (route, stopId, session = null) => {
+  const stops = await exports.getStops(route._id, session);
+  const index = stops.findIndex(stop => stop._id.toString() === stopId.toString());
+  if (index === -1) return null;
+
+  await RouteAddress.deleteOne({ _id: stops[index]._id }, { session });
+  stops.splice(index, 1);
+  return saveOrder(route, stops, session);
+};
+
+// Put every stop in the given order. stopIds must name each stop exactly once.
+exports.reorderStops = async (route, stopIds, session = null) => {
+  const stops = await exports.getStops(route._id, session);
+  const byId = new Map(stops.map(stop => [stop._id.toString(), stop]));
+  const requested = stopIds.map(id => id.toString());
+
+  if (requested.length !== stops.length || new Set(requested).size !== requested.length ||
+      !requested.every(id => byId.has(id))) {
+    return null;
+  }
+  return saveOrder(route, requested.map(id => byId.get(id)), session);
+};
+
+// Copy a route and its stops in the same order
+exports.cloneRoute = async (route, { routeName, personnelId }, session = null) => {
+  const [clone] = await DeliveryRoute.create([{
+    personnelId: personnelId || route.personnelId,
+    routeName: routeName || `${route.routeName} (copy)`,
+    routeDescription: route.routeDescription,
+    areaId: route.areaId,
+    optimizationCriteria: route.optimizationCriteria,
+    depot: route.depot,
+    estimatedDistanceKm: route.estimatedDistanceKm,
+    optimizedAt: route.optimizedAt,
+    isActive: true
+  }], { session });
+
+  const stops = await exports.getStops(route._id, session);
+  if (stops.length > 0) {
+    await RouteAddress.create(stops.map((stop, index) => ({
+      routeId: clone._id,
+      addressId: stop.addressId._id,
+      sequenceNumber: index + 1
+    })), { session });
+  }
+  return clone;
+};
+
+// Put a newly subscribed address on a route in its area: the active route where it adds
+// the least distance, or the shortest route when the address has no coordinates.
+// Returns { route, stop }, or null when the address is already routed or the area has
+// no active routes.
+exports.placeAddress = async (areaId, addressId, session = null) => {
+  if (await exports.findRouteForAddress(areaId, addressId, session)) return null;
+
+  const address = await Address.findById(addressId).session(session);
+  const routes = await DeliveryRoute.find({ areaId, isActive: true }).session(session);
+  if (!address || routes.length === 0) return null;
+
+  let best = null;
+  for (const route of routes) {
+    const stops = await exports.getStops(route._id, session);
+    const insertion = routeOptimizer.cheapestInsertion(route.depot, stops.map(toPoint), address);
+    const candidate = {
+      route,
+      position: insertion ? insertion.index + 1 : stops.length + 1,
+      addedKm: insertion ? insertion.addedKm : Infinity,
+      stopCount: stops.length
+    };
+    if (!best || candidate.addedKm < best.addedKm ||
+        (candidate.addedKm === best.addedKm && candidate.stopCount < best.stopCount)) {
+      best = candidate;
+    }
+  }
+
+  const stop = await exports.insertStop(best.route, addressId, best.position, session);
+  return { route: best.route, stop };
+};
+
+// Take an address off the area's routes once no live subscription is delivered there
+exports.releaseAddress = async (areaId, addressId, session = null) => {
+  const stillUsed = await Subscription.exists({
+    addressId,
+    status: { $in: ['Active', 'Paused', 'Suspended'] }
+  }).session(session);
+  if (stillUsed) return false;
+
+  const route = await exports.findRouteForAddress(areaId, addressId, session);
+  if (!route) return false;
+
+  const stop = await RouteAddress.findOne({ routeId: route._id, addressId }).session(session);
+  await exports.removeStop(route, stop._id, session);
+  return true;
+};
+
+// Group a schedule's delivery items into stops, one per address, in the route's visiting
+// order. Items are expected with addressId populated. Addresses that are not on the route
+// come last, by postal code and street, flagged onRoute: false.
+exports.groupItemsByStop = async (routeId, items) => {
+  const sequence = new Map();
+  if (routeId) {
+    const stops = await RouteAddress.find({ routeId }).select('addressId sequenceNumber').lean();
+    stops.forEach(stop => sequence.set(stop.addressId.toString(), stop.sequenceNumber));
+  }
+
+  const groups = new Map();
+  for (const item of items) {
+    const address = item.addressId || {};
+    const key = (address._id || item.addressId || '').toString();
+    if (!groups.has(key)) {
+      const sequenceNumber = sequence.has(key) ? sequence.get(key) : null;
+      groups.set(key, {
+        sequenceNumber,
+        onRoute: sequenceNumber !== null,
+        address: item.addressId,
+        items: []
+      });
+    }
+    groups.get(key).items.push(item);
+  }
+
+  const byStreet = (a, b) =>
+    ((a.address && a.address.postalCode) || '').localeCompare((b.address && b.address.postalCode) || '') ||
+    ((a.address && a.address.streetAddress) || '').localeCompare((b.address && b.address.streetAddress) || '');
+
+  return [...groups.values()].sort((a, b) => {
+    if (a.onRoute !== b.onRoute) return a.onRoute ? -1 : 1;
+    return a.onRoute ? a.sequenceNumber - b.sequenceNumber : byStreet(a, b);
+  });
+};
+
+module.exports = exports;
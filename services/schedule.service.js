@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const {
+  Area,
+  DeliveryRoute,
+  DeliveryPersonnel,
+  DeliverySchedule,
+  DeliveryItem,
+  RouteAddress,
+  Subscription,
+  ScheduleRun
+} = require('../models');
+const publicationCalendar = require('./publication-calendar.service');
+const pauseService = require('./pause.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.SCHEDULE_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.SCHEDULE_RETRY_DELAY_MS) || 15 * 60 * 1000;
+const STALE_RUN_MS = 30 * 60 * 1000; // A run still "Running" after this is assumed to have crashed
+
+exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+exports.RUN_AT_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Subscriptions in the area with a copy due on the day: the title has an issue and the
+// subscription is not paused. Paused ones are considered because the day may fall after
+// their pause window ends.
+exports.dueSubscriptions = async (areaId, day, session = null) => {
+  const subscriptions = await Subscription.find({
+    areaId,
+    status: { $in: ['Active', 'Paused'] },
+  })
+    .populate('publicationId')
+    .populate('addressId')
+    .session(session);
+
+  const pausesBySubscription = await pauseService.getPausesBySubscription(
+    subscriptions.map(sub => sub._id),
+    session
+  );
+
+  return subscriptions.filter(sub =>
+    sub.publicationId &&
+    sub.addressId &&
+    publicationCalendar.isPublishedOn(sub.publicationId, day) &&
+    !pauseService.isPausedOn(pausesBySubscription.get(sub._id.toString()) || [], day));
+};
+
+// Ids of subscriptions that already have an item on one of the area's schedules for the
+// day, whether the schedule was generated or created by hand
+exports.scheduledSubscriptionIds = async (areaId, day, session = null) => {
+  const scheduleIds = await DeliverySchedule.find({
+    areaId,
+    date: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) }
+  }).distinct('_id').session(session);
+  if (scheduleIds.length === 0) return new Set();
+
+  const subscriptionIds = await DeliveryItem.find({ scheduleId: { $in: scheduleIds } })
+    .distinct('subscriptionId')
+    .session(session);
+  return new Set(subscriptionIds.map(id => id.toString()));
+};
+
+exports.toDeliveryItems = (scheduleId, subscriptions) => subscriptions.map(sub => ({
+  scheduleId,
+  subscriptionId: sub._id,
+  addressId: sub.addressId._id,
+  publicationId: sub.publicationId._id,
+  quantity: sub.quantity || 1,
+  status: 'Pending',
+  createdAt: new Date(),
+  updatedAt: new Date(),
+}));
+
+exports.isHoliday = (area, day) => ((area.scheduling && area.scheduling.holidays) || [])
+  .some(holiday => publicationCalendar.parseDay(holiday).getTime() === day.getTime());
+
+// Take ownership of the run for an area and day, or return null when it is not due:
+// finished, already running elsewhere, or out of automatic retries.
+const claimRun = async (areaId, day, { trigger, userId, now }) => {
+  const existing = await ScheduleRun.findOne({ areaId, deliveryDate: day });
+
+  if (!existing) {
+    try {
+      return await ScheduleRun.create({
+        areaId,
+        deliveryDate: day,
+        trigger,
+        triggeredBy: userId,
+        attempts: 1,
+        startedAt: now
+      });
+    } catch (error) {
+      if (error.code === 11000) return null; // Another instance started it first
+      throw error;
+    }
+  }
+
+  const stale = existing.status === 'Running' && existing.startedAt < new Date(now.getTime() - STALE_RUN_MS);
+  if (existing.status === 'Running' && !stale) return null;
+  if (trigger === 'Automatic') {
+    const retryDue = existing.status === 'Failed' && existing.attempts < MAX_ATTEMPTS &&
+      (!existing.nextRetryAt || existing.nextRetryAt <= now);
+    if (!retryDue && !stale) return null;
+  }
+
+  return ScheduleRun.findOneAndUpdate(
+    { _id: existing._id, status: existing.status, attempts: existing.attempts },
+    {
+      status: 'Running',
+      trigger,
+      triggeredBy: userId,
+      startedAt: now,
+      $inc: { attempts: 1 },
+      $unset: { finishedAt: 1, nextRetryAt: 1, skipReason: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Create one route's schedule and items in a transaction
+const createRouteSchedule = async (route, day, subscriptions) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const deliverer = await DeliveryPersonnel.findOne({ _id: route.personnelId, isActive: true }).session(session);
+    if (!deliverer) {
+      throw new Error('The route\'s deliverer is no longer active');
+    }
+
+    const [schedule] = await DeliverySchedule.create([{
+      personnelId: route.personnelId,
+      date: day,
+      areaId: route.areaId,
+      routeId: route._id,
+      notes: 'Generated automatically',
+      status: 'Pending'
+    }], { session });
+
+    await DeliveryItem.create(exports.toDeliveryItems(schedule._id, subscriptions), { session });
+
+    await session.commitTransaction();
+    return schedule;
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Create the area's schedules for one day, one per active route, each holding the items
+// for the addresses on that route. Items for addresses on no route go to the area's
+// oldest route so nothing is missed; the deliverer sees them flagged as off-route.
+// Subscriptions already on any of the area's schedules that day are skipped, and routes
+// that already have a schedule are left alone, so a run can be repeated; items left out
+// because their route's schedule already exists are counted in the run log.
+// Returns the run log, or null when the run was not due.
+exports.generateForArea = async (area, day, { trigger = 'Automatic', userId, now = new Date() } = {}) => {
+  const run = await claimRun(area._id, day, { trigger, userId, now });
+  if (!run) return null;
+
+  try {
+    const routes = await DeliveryRoute.find({ areaId: area._id, isActive: true }).sort({ createdAt: 1 });
+    if (exports.isHoliday(area, day) || routes.length === 0) {
+      run.status = 'Skipped';
+      run.skipReason = routes.length === 0 ? 'No active routes' : 'Holiday';
+      run.routes = [];
+      run.finishedAt = new Date();
+      return run.save();
+    }
+
+    const stops = await RouteAddress.find({ routeId: { $in: routes.map(route => route._id) } }).lean();
+    const routeByAddress = new Map(stops.map(stop => [stop.addressId.toString(), stop.routeId.toString()]));
+
+    const scheduled = await exports.scheduledSubscriptionIds(area._id, day);
+    const due = (await exports.dueSubscriptions(area._id, day))
+      .filter(sub => !scheduled.has(sub._id.toString()));
+    const dueByRoute = new Map(routes.map(route => [route._id.toString(), []]));
+    let unrouted = 0;
+    for (const sub of due) {
+      let routeId = routeByAddress.get(sub.addressId._id.toString());
+      if (!routeId) {
+        routeId = routes[0]._id.toString();
+        unrouted++;
+      }
+      dueByRoute.get(routeId).push(sub);
+    }
+
+    const results = [];
+    for (const route of routes) {
+      const subscriptions = dueByRoute.get(route._id.toString());
+      try {
+        const existing = await DeliverySchedule.findOne({
+          routeId: route._id,
+          date: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) }
+        });
+        if (existing) {
+          const itemCount = await DeliveryItem.countDocuments({ scheduleId: existing._id });
+          results.push({
+            routeId: route._id,
+            scheduleId: existing._id,
+            status: 'Existing',
+            itemCount,
+            unscheduledItemCount: subscriptions.length
+          });
+          continue;
+        }
+        if (subscriptions.length === 0) {
+          results.push({ routeId: route._id, status: 'No Deliveries', itemCount: 0 });
+          continue;
+        }
+
+        const schedule = await createRouteSchedule(route, day, subscriptions);
+        results.push({ routeId: route._id, scheduleId: schedule._id, status: 'Created', itemCount: subscriptions.length });
+      } catch (error) {
+        console.error(`Schedule generation error for route ${route._id}:`, error);
+        results.push({ routeId: route._id, status: 'Failed', itemCount: 0, error: error.message });
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'Failed');
+    run.routes = results;
+    run.unroutedItemCount = unrouted;
+    run.unscheduledItemCount = results.reduce((sum, result) => sum + (result.unscheduledItemCount || 0), 0);
+    run.status = failed.length > 0 ? 'Failed' : 'Succeeded';
+    run.lastError = failed.length > 0 ? failed.map(result => result.error).join('; ') : undefined;
+    run.nextRetryAt = failed.length > 0 && run.attempts < MAX_ATTEMPTS
+      ? new Date(now.getTime() + RETRY_DELAY_MS * run.attempts)
+      : undefined;
+    run.finishedAt = new Date();
+    return run.save();
+  } catch (error) {
+    console.error(`Schedule generation error for area ${area._id}:`, error);
+    run.status = 'Failed';
+    run.lastError = error.message;
+    run.nextRetryAt = run.attempts < MAX_ATTEMPTS ? new Date(now.getTime() + RETRY_DELAY_MS * run.attempts) : undefined;
+    run.finishedAt = new Date();
+    return run.save();
+  }
+};
+
+// Generate tomorrow's schedules for every area whose run time has passed today, and
+// retry failed runs that are due
+exports.runDueAreas = async (now = new Date()) => {
+  const areas = await Area.find({ isActive: true, 'scheduling.autoGenerate': { $ne: false } })
+    .select('name scheduling');
+
+  const tomorrow = publicationCalendar.parseDay(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  const summary = { succeeded: 0, failed: 0, skipped: 0 };
+  for (const area of areas) {
+    const runAt = (area.scheduling && area.scheduling.runAt) || '18:00';
+    const [hours, minutes] = exports.RUN_AT_PATTERN.test(runAt) ? runAt.split(':').map(Number) : [18, 0];
+    const runTime = new Date(now);
+    runTime.setHours(hours, minutes, 0, 0);
+    if (now < runTime) continue;
+
+    const run = await exports.generateForArea(area, tomorrow, { now });
+    if (!run) continue;
+    if (run.status === 'Succeeded') summary.succeeded++;
+    else if (run.status === 'Failed') summary.failed++;
+    else summary.skipped++;
+  }
+  return summary;
+};
+
+// Run runDueAreas now and then periodically (every five minutes by default)
+exports.startScheduleGeneration = (intervalMs = Number(process.env.SCHEDULE_CHECK_INTERVAL_MS) || 5 * 60 * 1000) => {
+  const run = () => exports.runDueAreas()
+    .then(result => {
+      if (result.succeeded || result.failed || result.skipped) {
+        console.log('Schedule generation:', result);
+      }
+    })
+    .catch(err => console.error('Schedule generation error:', err));
+
+  run();
+  return setInterval(run, intervalMs).unref();
+};
+
+module.exports = exports;
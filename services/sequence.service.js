@@ -0,0 +1,21 @@
+const { Counter } = require('../models');
+
+// Next value of a named counter. The increment is atomic, so concurrent callers never
+// receive the same number.
+exports.next = async (name, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+// Receipt numbers run per year: RCP-2024-00000001
+exports.nextReceiptNumber = async (session = null) => {
+  const year = new Date().getFullYear();
+  const seq = await exports.next(`receipt-${year}`, session);
+  return `RCP-${year}-${seq.toString().padStart(8, '0')}`;
+};
+
+module.exports = exports;
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, AuthSession, SystemLog } = require('../models');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user._id,
+    role: user.role,
+    username: user.username,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Open a new session for the user and return an access/refresh token pair
+exports.issueTokens = async (user, req) => {
+  const session = new AuthSession({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session._id
+  };
+};
+
+const MAX_PREVIOUS_HASHES = 20;
+
+const parseSessionId = (refreshToken) => {
+  const [sessionId] = (refreshToken || '').split('.');
+  return /^[a-f\d]{24}$/i.test(sessionId) ? sessionId : null;
+};
+
+// Exchange a refresh token for a new pair. The swap is conditional on the presented
+// token, so of two concurrent refreshes with the same token only one wins. Presenting
+// an already-rotated token revokes the whole session, since it means the token was
+// copied; a token the session never issued is just rejected.
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const sessionId = parseSessionId(refreshToken);
+  if (!sessionId) return null;
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = buildRefreshToken(sessionId);
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      $push: { previousRefreshTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } },
+      lastSeenAt: new Date(),
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await AuthSession.findOneAndUpdate(
+      { _id: sessionId, previousRefreshTokenHashes: presentedHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'Refresh token reuse detected' },
+      { new: true }
+    );
+    if (reused) {
+      await SystemLog.create({
+        userId: reused.userId,
+        actionType: 'REFRESH_TOKEN_REUSE',
+        actionDetails: `Session ${reused._id} revoked after refresh token reuse`,
+        ipAddress: req.ip
+      });
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return {
+    user,
+    token: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session._id
+  };
+};
+
+// Resolve the session a caller may end: the one whose current refresh token is presented,
+// or the one named by a validly signed (possibly expired) access token. A session id alone
+// proves nothing, as it can be read from any access token.
+exports.getSessionIdFromTokens = async ({ refreshToken, accessToken }) => {
+  const sessionId = parseSessionId(refreshToken);
+  if (sessionId && await AuthSession.exists({ _id: sessionId, refreshTokenHash: hashToken(refreshToken) })) {
+    return sessionId;
+  }
+  if (accessToken) {
+    try {
+      const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+      return decoded.sid || null;
+    } catch (err) {
+      return null;
+    }
+  }
+  return null;
+};
+
+exports.revokeSession = async (sessionId, reason) => {
+  return AuthSession.findOneAndUpdate(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every session of a user, optionally keeping the one making the request
+exports.revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const query = { userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await AuthSession.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = exports;
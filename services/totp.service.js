@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { User } = require('../models');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the defaults understood by Google Authenticator, Authy and similar apps.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP value (RFC 4226) for one counter
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, '0');
+};
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI to render as a QR code in the client
+exports.buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'Newspaper Delivery';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// Time step the code belongs to, or null. Codes from one step either side of now are
+// accepted to allow for clock drift.
+exports.matchStep = (secret, code, window = 1, now = Date.now()) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+
+  const counter = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = hotp(secret, counter + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return counter + drift;
+    }
+  }
+  return null;
+};
+
+// Check a code against the user's active secret and use it up: a code is accepted only
+// if its step is later than the last accepted one, so it cannot be replayed within its
+// window. The conditional update lets only one of two concurrent uses succeed.
+exports.consumeCode = async (user, code) => {
+  const step = exports.matchStep(user.twoFactor && user.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+exports.hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Single-use recovery codes, formatted xxxxx-xxxxx
+exports.generateBackupCodes = (count = 10) => Array.from({ length: count }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+module.exports = exports;
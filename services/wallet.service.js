@@ -0,0 +1,45 @@
+const { User } = require('../models');
+const ledgerService = require('./ledger.service');
+const mailService = require('./mail.service');
+
+// Settle a newly issued bill from the customer's wallet if they have autopay on.
+// Returns the amount paid.
+exports.applyAutopay = async (bill, session = null) => {
+  const user = await User.findById(bill.userId).select('wallet').session(session).lean();
+  if (!user || !user.wallet || !user.wallet.autopay) return 0;
+  return ledgerService.payFromWallet(bill, undefined, session);
+};
+
+// Email customers whose wallet has dropped below their threshold, once per top-up
+exports.notifyLowBalances = async (userIds) => {
+  const users = await User.find({
+    _id: { $in: userIds },
+    isActive: true,
+    'wallet.lowBalanceThreshold': { $gt: 0 },
+    'wallet.lowBalanceNotifiedAt': null
+  });
+
+  let notified = 0;
+  for (const user of users) {
+    const balance = await ledgerService.walletBalance(user._id);
+    if (balance >= user.wallet.lowBalanceThreshold) continue;
+
+    await mailService.queueMail({
+      userId: user._id,
+      to: user.email,
+      subject: 'Your wallet balance is running low',
+      template: 'WalletLowBalance',
+      text: `Hi ${user.firstName},\n\n` +
+        `Your wallet balance is now ${balance.toFixed(2)}, below the ${user.wallet.lowBalanceThreshold.toFixed(2)} ` +
+        `you asked us to warn you about.` +
+        (user.wallet.autopay ? ' Top up soon so your next bill can be paid automatically.' : '') + '\n'
+    });
+
+    user.wallet.lowBalanceNotifiedAt = new Date();
+    await user.save();
+    notified++;
+  }
+  return notified;
+};
+
+module.exports = exports;
@@ -0,0 +1,337 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { LedgerEntry, User } = require('../models');
+const ledgerService = require('../services/ledger.service');
+
+// The ledger is exercised against an in-memory stand-in for the LedgerEntry collection,
+// supporting just the queries the service makes: equality, $in and $lt matches, exists,
+// and the debit/credit totals of balanceOf's aggregation.
+
+const sameValue = (a, b) => String(a) === String(b);
+
+const matches = (entry, query) => Object.entries(query).every(([field, condition]) => {
+  const value = entry[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    if (condition.$in) return condition.$in.some(option => sameValue(option, value));
+    if (condition.$lt) return value < condition.$lt;
+  }
+  return value !== undefined && sameValue(condition, value);
+});
+
+const withSession = (result) => ({ session: () => Promise.resolve(result) });
+
+let entries;
+let locked;
+
+const inTransaction = { inTransaction: () => true };
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const makeBill = (overrides = {}) => ({
+  _id: objectId(),
+  userId: objectId(),
+  areaId: objectId(),
+  billNumber: 'B-1',
+  status: 'Unpaid',
+  outstandingAmount: 0,
+  creditBalance: 0,
+  ...overrides
+});
+
+const makePayment = (bill, amount) => ({
+  _id: objectId(),
+  userId: bill.userId,
+  amount,
+  paymentDate: new Date(),
+  receiptNumber: 'R-1'
+});
+
+// Net debit minus credit for every entry of one transaction type
+const totals = (type) => {
+  const lines = entries.filter(entry => entry.type === type);
+  return {
+    debit: lines.reduce((sum, entry) => sum + entry.debit, 0),
+    credit: lines.reduce((sum, entry) => sum + entry.credit, 0)
+  };
+};
+
+beforeEach(() => {
+  entries = [];
+  locked = [];
+
+  mock.method(LedgerEntry, 'create', async (docs) => {
+    entries.push(...docs);
+    return docs;
+  });
+  mock.method(LedgerEntry, 'exists', (query) => withSession(entries.some(entry => matches(entry, query))));
+  mock.method(LedgerEntry, 'aggregate', ([{ $match }]) => {
+    const matched = entries.filter(entry => matches(entry, $match));
+    return withSession(matched.length === 0 ? [] : [{
+      _id: null,
+      debit: matched.reduce((sum, entry) => sum + entry.debit, 0),
+      credit: matched.reduce((sum, entry) => sum + entry.credit, 0)
+    }]);
+  });
+  mock.method(User, 'updateOne', async (filter) => {
+    locked.push(filter._id);
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('ledger service', () => {
+  describe('posting', () => {
+    it('charges a bill against revenue, and late fees against late fee income', async () => {
+      const bill = makeBill();
+
+      await ledgerService.recordCharge(bill, 120, { description: 'June' });
+      await ledgerService.recordCharge(bill, 10, { type: 'Late Fee', description: 'Late fee' });
+
+      assert.deepEqual(
+        entries.map(entry => [entry.account, entry.debit, entry.credit]),
+        [
+          ['Receivable', 120, 0],
+          ['Revenue', 0, 120],
+          ['Receivable', 10, 0],
+          ['Late Fee Income', 0, 10]
+        ]
+      );
+      assert.equal(await ledgerService.billBalance(bill), 130);
+    });
+
+    it('gives every entry of a transaction the same transaction id and balances it', async () => {
+      const bill = makeBill();
+
+      await ledgerService.recordCharge(bill, 50);
+
+      assert.equal(new Set(entries.map(entry => entry.transactionId.toString())).size, 1);
+      const { debit, credit } = totals('Charge');
+      assert.equal(debit, credit);
+    });
+
+    it('rounds amounts to cents and leaves out zero lines', async () => {
+      const bill = makeBill();
+
+      await ledgerService.recordCharge(bill, 0.1 + 0.2);
+      await ledgerService.recordPayment(makePayment(bill, 0.3), bill, inTransaction);
+
+      assert.equal(await ledgerService.billBalance(bill), 0);
+      assert.ok(entries.every(entry => entry.debit > 0 || entry.credit > 0));
+      assert.ok(!entries.some(entry => entry.account === 'Customer Credit'));
+    });
+
+    it('opens a bill from before the ledger with its outstanding amount and credit', async () => {
+      const bill = makeBill({ outstandingAmount: 80, creditBalance: 5 });
+
+      assert.equal(await ledgerService.billBalance(bill), 80);
+      assert.equal(await ledgerService.availableCredit(bill.userId), 5);
+
+      const { debit, credit } = totals('Opening Balance');
+      assert.equal(debit, credit);
+
+      // Only once
+      await ledgerService.billBalance(bill);
+      assert.equal(entries.filter(entry => entry.type === 'Opening Balance').length, 3);
+    });
+
+    it('does not open draft bills', async () => {
+      const bill = makeBill({ status: 'Draft', outstandingAmount: 80 });
+
+      assert.equal(await ledgerService.billBalance(bill), 0);
+      assert.equal(entries.length, 0);
+    });
+  });
+
+  describe('payments', () => {
+    it('settles what is owed and holds an overpayment as account credit', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 100);
+
+      await ledgerService.recordPayment(makePayment(bill, 130), bill, inTransaction);
+
+      assert.equal(await ledgerService.billBalance(bill), 0);
+      assert.equal(await ledgerService.availableCredit(bill.userId), 30);
+      const { debit, credit } = totals('Payment');
+      assert.equal(debit, 130);
+      assert.equal(credit, 130);
+    });
+
+    it('leaves the rest owed after a part payment', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 100);
+
+      await ledgerService.recordPayment(makePayment(bill, 40), bill, inTransaction);
+
+      assert.equal(await ledgerService.billBalance(bill), 60);
+      assert.equal(await ledgerService.availableCredit(bill.userId), 0);
+    });
+
+    it('locks the customer balances before reading them', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 100);
+
+      await ledgerService.recordPayment(makePayment(bill, 100), bill, inTransaction);
+
+      assert.deepEqual(locked, [bill.userId]);
+    });
+
+    it('refuses to spend a balance outside a transaction', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 100);
+
+      await assert.rejects(
+        ledgerService.recordPayment(makePayment(bill, 100), bill),
+        /inside a transaction/
+      );
+      await assert.rejects(
+        ledgerService.payFromWallet(bill, undefined, { inTransaction: () => false }),
+        /inside a transaction/
+      );
+      assert.equal(entries.filter(entry => entry.type !== 'Charge').length, 0);
+    });
+
+    it('applies account credit up to what is owed', async () => {
+      const earlier = makeBill();
+      const bill = makeBill({ userId: earlier.userId });
+      await ledgerService.recordCharge(earlier, 20);
+      await ledgerService.recordPayment(makePayment(earlier, 50), earlier, inTransaction);
+      await ledgerService.recordCharge(bill, 10);
+
+      const applied = await ledgerService.applyAccountCredit(bill, inTransaction);
+
+      assert.equal(applied, 10);
+      assert.equal(await ledgerService.billBalance(bill), 0);
+      assert.equal(await ledgerService.availableCredit(bill.userId), 20);
+    });
+
+    it('carries a balance forward from one bill to another', async () => {
+      const from = makeBill();
+      const to = makeBill({ userId: from.userId });
+      await ledgerService.recordCharge(from, 45);
+
+      await ledgerService.transferBalance(from, to, 45);
+
+      assert.equal(await ledgerService.billBalance(from), 0);
+      assert.equal(await ledgerService.billBalance(to), 45);
+    });
+  });
+
+  describe('refunds and adjustments', () => {
+    it('refunds from account credit first and reinstates the rest as owed', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 100);
+      const payment = makePayment(bill, 110);
+      await ledgerService.recordPayment(payment, bill, inTransaction);
+
+      await ledgerService.recordRefund({ _id: objectId(), billId: bill._id, amount: 25, reason: 'Missed days' }, payment, bill, inTransaction);
+
+      assert.equal(await ledgerService.availableCredit(bill.userId), 0);
+      assert.equal(await ledgerService.billBalance(bill), 15);
+    });
+
+    it('keeps the part of a credit note above what is owed as account credit', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 30);
+
+      await ledgerService.recordAdjustment({ _id: objectId(), type: 'Credit Note', amount: 50, reason: 'Goodwill' }, bill);
+
+      assert.equal(await ledgerService.billBalance(bill), 0);
+      assert.equal(await ledgerService.availableCredit(bill.userId), 20);
+    });
+
+    it('adds a debit adjustment to what is owed', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 30);
+
+      await ledgerService.recordAdjustment({ _id: objectId(), type: 'Debit Adjustment', amount: 12.5, reason: 'Extra copies' }, bill);
+
+      assert.equal(await ledgerService.billBalance(bill), 42.5);
+    });
+  });
+
+  describe('wallet', () => {
+    const topUp = async (bill, amount) => {
+      const payment = makePayment(bill, amount);
+      await ledgerService.recordWalletTopUp(payment);
+      return payment;
+    };
+
+    it('holds confirmed top-ups', async () => {
+      const bill = makeBill();
+
+      await topUp(bill, 200);
+
+      assert.equal(await ledgerService.walletBalance(bill.userId), 200);
+    });
+
+    it('pays no more than is owed or than the wallet holds', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 150);
+      await topUp(bill, 100);
+
+      assert.equal(await ledgerService.payFromWallet(bill, undefined, inTransaction), 100);
+      assert.equal(await ledgerService.billBalance(bill), 50);
+      assert.equal(await ledgerService.walletBalance(bill.userId), 0);
+
+      assert.equal(await ledgerService.payFromWallet(bill, undefined, inTransaction), 0);
+      assert.equal(totals('Wallet Payment').debit, 100);
+    });
+
+    it('pays only the amount asked for', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 150);
+      await topUp(bill, 200);
+
+      assert.equal(await ledgerService.payFromWallet(bill, 60, inTransaction), 60);
+      assert.equal(await ledgerService.billBalance(bill), 90);
+      assert.equal(await ledgerService.walletBalance(bill.userId), 140);
+    });
+
+    it('refunds a top-up only while the wallet still holds the amount', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 70);
+      const payment = await topUp(bill, 100);
+      await ledgerService.payFromWallet(bill, undefined, inTransaction);
+
+      const tooMuch = await ledgerService.recordWalletRefund({ _id: objectId(), amount: 50, reason: 'Refund' }, payment, inTransaction);
+      assert.equal(tooMuch, false);
+      assert.equal(await ledgerService.walletBalance(bill.userId), 30);
+
+      const refunded = await ledgerService.recordWalletRefund({ _id: objectId(), amount: 30, reason: 'Refund' }, payment, inTransaction);
+      assert.equal(refunded, true);
+      assert.equal(await ledgerService.walletBalance(bill.userId), 0);
+    });
+
+    it('writes off the wallet and account credit on forfeit', async () => {
+      const bill = makeBill();
+      await ledgerService.recordCharge(bill, 10);
+      await ledgerService.recordPayment(makePayment(bill, 25), bill, inTransaction);
+      await topUp(bill, 40);
+
+      const forfeited = await ledgerService.forfeitBalances(bill.userId, inTransaction);
+
+      assert.deepEqual(forfeited, { wallet: 40, credit: 15 });
+      assert.equal(await ledgerService.walletBalance(bill.userId), 0);
+      assert.equal(await ledgerService.availableCredit(bill.userId), 0);
+      const { debit, credit } = totals('Balance Forfeited');
+      assert.equal(debit, 55);
+      assert.equal(credit, 55);
+    });
+  });
+
+  describe('isBalanceConflict', () => {
+    it('recognises transient transaction errors only', () => {
+      const conflict = { hasErrorLabel: label => label === 'TransientTransactionError' };
+      const other = { hasErrorLabel: () => false };
+
+      assert.equal(ledgerService.isBalanceConflict(conflict), true);
+      assert.equal(ledgerService.isBalanceConflict(other), false);
+      assert.equal(ledgerService.isBalanceConflict(new Error('boom')), false);
+      assert.equal(ledgerService.isBalanceConflict(null), false);
+    });
+  });
+});
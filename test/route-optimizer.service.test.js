@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const routeOptimizer = require('../services/route-optimizer.service');
+
+// Points along the equator, one degree (about 111.2 km) apart
+const at = (id, longitude) => ({ id, latitude: 0, longitude });
+const depot = { latitude: 0, longitude: 0 };
+
+describe('route optimizer', () => {
+  it('measures haversine distances in kilometres', () => {
+    assert.equal(routeOptimizer.distanceKm(depot, depot), 0);
+    assert.ok(Math.abs(routeOptimizer.distanceKm(depot, at('a', 1)) - 111.19) < 0.01);
+  });
+
+  it('visits stops in the shortest order and puts unlocated stops last', () => {
+    const stops = [at('c', 3), { id: 'x' }, at('a', 1), at('d', 4), at('b', 2)];
+
+    const result = routeOptimizer.optimize(depot, stops);
+
+    assert.deepEqual(result.order.map(stop => stop.id), ['a', 'b', 'c', 'd', 'x']);
+    assert.deepEqual(result.unlocated.map(stop => stop.id), ['x']);
+    assert.equal(result.totalDistanceKm, routeOptimizer.routeDistanceKm(depot, result.order));
+  });
+
+  it('untangles a crossing tour with 2-opt', () => {
+    // Nearest neighbour from the depot goes a, b, then has to double back for c
+    const stops = [
+      { id: 'a', latitude: 0, longitude: 1 },
+      { id: 'b', latitude: 0, longitude: 2 },
+      { id: 'c', latitude: 0.1, longitude: 1.5 },
+      { id: 'd', latitude: 0, longitude: 3 }
+    ];
+    const asGiven = routeOptimizer.routeDistanceKm(depot, stops);
+
+    const result = routeOptimizer.optimize(depot, stops);
+
+    assert.ok(result.totalDistanceKm <= asGiven);
+    assert.deepEqual(result.order.map(stop => stop.id), ['a', 'c', 'b', 'd']);
+  });
+
+  it('starts from the centroid when there is no depot', () => {
+    const result = routeOptimizer.optimize(null, [at('a', 1), at('b', 3)]);
+
+    assert.equal(result.order.length, 2);
+    assert.ok(result.totalDistanceKm > 0);
+  });
+
+  it('returns stops unchanged when none can be located', () => {
+    const stops = [{ id: 'x' }, { id: 'y' }];
+
+    const result = routeOptimizer.optimize(depot, stops);
+
+    assert.deepEqual(result.order, stops);
+    assert.equal(result.totalDistanceKm, 0);
+  });
+
+  it('counts the way back to the depot when asked', () => {
+    const stops = [at('a', 1), at('b', 2)];
+
+    const oneWay = routeOptimizer.routeDistanceKm(depot, stops);
+    const roundTrip = routeOptimizer.routeDistanceKm(depot, stops, { returnToDepot: true });
+
+    assert.ok(Math.abs(roundTrip - 2 * oneWay) < 0.02);
+  });
+
+  describe('cheapestInsertion', () => {
+    it('inserts a point between the stops it lies between', () => {
+      const stops = [at('a', 1), at('c', 3)];
+
+      const insertion = routeOptimizer.cheapestInsertion(depot, stops, at('b', 2));
+
+      assert.equal(insertion.index, 1);
+      assert.ok(insertion.addedKm < 0.01);
+    });
+
+    it('appends a point beyond the last stop', () => {
+      const insertion = routeOptimizer.cheapestInsertion(depot, [at('a', 1), at('b', 2)], at('c', 3));
+
+      assert.equal(insertion.index, 2);
+    });
+
+    it('steps over stops without coordinates', () => {
+      const stops = [at('a', 1), { id: 'x' }, at('c', 3)];
+
+      const insertion = routeOptimizer.cheapestInsertion(depot, stops, at('b', 2));
+
+      assert.equal(insertion.index, 2);
+    });
+
+    it('gives no position for a point without coordinates', () => {
+      assert.equal(routeOptimizer.cheapestInsertion(depot, [at('a', 1)], { id: 'x' }), null);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { User } = require('../models');
+const totpService = require('../services/totp.service');
+
+// RFC 6238 appendix B test secret ("12345678901234567890") in base32; the expected
+// codes are the last six digits of the SHA-1 reference values
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+describe('totp service', () => {
+  it('accepts the RFC 6238 reference codes at their time', () => {
+    assert.equal(totpService.matchStep(SECRET, '287082', 0, 59 * 1000), 1);
+    assert.equal(totpService.matchStep(SECRET, '081804', 0, 1111111109 * 1000), 37037036);
+    assert.equal(totpService.matchStep(SECRET, '005924', 0, 1234567890 * 1000), 41152263);
+  });
+
+  it('allows one step of clock drift either side by default', () => {
+    const now = 1234567890 * 1000;
+
+    assert.equal(totpService.matchStep(SECRET, '005924', 1, now + STEP_MS), 41152263);
+    assert.equal(totpService.matchStep(SECRET, '005924', 1, now - STEP_MS), 41152263);
+    assert.equal(totpService.matchStep(SECRET, '005924', 1, now + 2 * STEP_MS), null);
+  });
+
+  it('rejects wrong and malformed codes', () => {
+    const now = 59 * 1000;
+
+    assert.equal(totpService.matchStep(SECRET, '287083', 1, now), null);
+    assert.equal(totpService.matchStep(SECRET, '28708', 1, now), null);
+    assert.equal(totpService.matchStep(SECRET, 'abcdef', 1, now), null);
+    assert.equal(totpService.matchStep(SECRET, undefined, 1, now), null);
+    assert.equal(totpService.matchStep(null, '287082', 1, now), null);
+  });
+
+  describe('consumeCode', () => {
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    // Stand-in for the conditional update: it only applies while the stored step is older
+    const storeSteps = (user) => mock.method(User, 'updateOne', async (filter, update) => {
+      const [newer] = filter.$or;
+      const stored = user.stored;
+      if (stored !== null && stored >= newer['twoFactor.lastUsedStep'].$lt) return { modifiedCount: 0 };
+      user.stored = update['twoFactor.lastUsedStep'];
+      return { modifiedCount: 1 };
+    });
+
+    it('accepts a code once and refuses to replay it', async () => {
+      mock.method(Date, 'now', () => 59 * 1000);
+      const user = { _id: 'u1', stored: null, twoFactor: { secret: SECRET, lastUsedStep: null } };
+      storeSteps(user);
+
+      assert.equal(await totpService.consumeCode(user, '287082'), true);
+      assert.equal(user.twoFactor.lastUsedStep, 1);
+      assert.equal(await totpService.consumeCode(user, '287082'), false);
+    });
+
+    it('does not touch the user for a wrong code', async () => {
+      mock.method(Date, 'now', () => 59 * 1000);
+      const user = { _id: 'u1', stored: null, twoFactor: { secret: SECRET, lastUsedStep: null } };
+      const updateOne = storeSteps(user);
+
+      assert.equal(await totpService.consumeCode(user, '000000'), false);
+      assert.equal(updateOne.mock.callCount(), 0);
+    });
+  });
+
+  it('generates base32 secrets of 160 bits', () => {
+    assert.match(totpService.generateSecret(), /^[A-Z2-7]{32}$/);
+  });
+
+  it('generates distinct backup codes and hashes them consistently', () => {
+    const codes = totpService.generateBackupCodes(5);
+
+    assert.equal(codes.length, 5);
+    assert.equal(new Set(codes).size, 5);
+    assert.equal(totpService.hashBackupCode(codes[0]), totpService.hashBackupCode(codes[0]));
+    assert.notEqual(totpService.hashBackupCode(codes[0]), totpService.hashBackupCode(codes[1]));
+  });
+
+  it('matches backup codes regardless of case, spaces and dashes', () => {
+    assert.equal(totpService.hashBackupCode('ABCDE 12345'), totpService.hashBackupCode('abcde-12345'));
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const zipService = require('../services/zip.service');
+
+// Read the archive back through its central directory
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26) + archive.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(content.length, size);
+
+    files.push({ name, content: content.toString('utf8'), crc: archive.readUInt32LE(position + 16) });
+    position += 46 + nameLength;
+  }
+  return files;
+};
+
+describe('zip service', () => {
+  it('stores each file so it can be read back', () => {
+    const archive = zipService.createZip([
+      { name: 'profile.json', content: JSON.stringify({ name: 'Test' }) },
+      { name: 'bills/2024-06.csv', content: Buffer.from('billNumber,amount\nB-1,120\n') }
+    ]);
+
+    const files = readZip(archive);
+
+    assert.deepEqual(files.map(file => file.name), ['profile.json', 'bills/2024-06.csv']);
+    assert.equal(files[0].content, '{"name":"Test"}');
+    assert.equal(files[1].content, 'billNumber,amount\nB-1,120\n');
+  });
+
+  it('writes the standard CRC-32 of each file', () => {
+    // Check value of the CRC-32 used by ZIP
+    const [file] = readZip(zipService.createZip([{ name: 'check.txt', content: '123456789' }]));
+
+    assert.equal(file.crc, 0xcbf43926);
+  });
+
+  it('keeps non-ASCII names and content intact', () => {
+    const [file] = readZip(zipService.createZip([{ name: 'notes-é.txt', content: 'Zeitung für Müller' }]));
+
+    assert.equal(file.name, 'notes-é.txt');
+    assert.equal(file.content, 'Zeitung für Müller');
+  });
+
+  it('produces an empty archive for no files', () => {
+    assert.deepEqual(readZip(zipService.createZip([])), []);
+  });
+});